@@ -1,6 +1,45 @@
 import PatchedSync from "./src/patched-sync";
+import PatchedSyncStore from "./src/patched-sync-store";
+import Patcher from "./src/patcher";
 import FetchTransport from "./src/transports/fetch";
 import WebsocketTransport from "./src/transports/websocket";
+import EventSourceTransport from "./src/transports/eventsource";
 import XMLHttpRequestTransport from "./src/transports/xmlhttprequest";
+import BroadcastTransport from "./src/transports/broadcast";
+import { bearer } from "./src/transports/interceptors";
+import MemoryStore from "./src/stores/memory";
+import LocalStorageStore from "./src/stores/local-storage";
+import IndexedDBStore from "./src/stores/indexeddb";
+import {
+  HTTPError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  ConflictError,
+  PreconditionError,
+  PatchError,
+  SchemaError,
+} from "./src/errors";
 
-export { PatchedSync, FetchTransport, WebsocketTransport, XMLHttpRequestTransport };
+export {
+  PatchedSync,
+  PatchedSyncStore,
+  Patcher,
+  FetchTransport,
+  WebsocketTransport,
+  EventSourceTransport,
+  XMLHttpRequestTransport,
+  BroadcastTransport,
+  bearer,
+  MemoryStore,
+  LocalStorageStore,
+  IndexedDBStore,
+  HTTPError,
+  NetworkError,
+  TimeoutError,
+  AbortError,
+  ConflictError,
+  PreconditionError,
+  PatchError,
+  SchemaError,
+};
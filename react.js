@@ -0,0 +1,3 @@
+import { usePatchedSync } from "./src/bindings/react";
+
+export { usePatchedSync };
@@ -0,0 +1,238 @@
+/**
+ * A reference server side for the patched-sync protocol, usable as Express or Connect middleware.
+ *
+ * @author Joe Mills
+ * @module server
+ */
+
+const jiff = require('jiff');
+const TestFailedError = require('jiff/lib/TestFailedError');
+const MemoryDocumentStore = require('./memory-store');
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Make a request handler serving the documents in a store.
+ *
+ * `GET` responds with the document, `PATCH` takes a JSON Patch, applies it and responds with the
+ * JSON Patch of whatever the server changed on top of it, which is usually nothing. Every response
+ * carries an ETag, `If-None-Match` and `If-Match` are honoured.
+ *
+ * Every change also gets a revision number, one more than the change before it, sent in an
+ * `X-Revision` header. `GET ?since=<revision>` responds with the changes made since then as a list of
+ * `{ revision, patch }`, or with 410 Gone when they are older than the last `options.log` changes kept.
+ * Revisions are kept in memory, a document's start at the time it was first served, so they keep going
+ * up across restarts and a client that is ahead of the server is sent a 410 as well.
+ *
+ * Patches to the same document are applied one at a time and either completely or not at all. A patch
+ * that isn't valid JSON Patch gets a 400, one with a failing `test` operation a 409, and one that
+ * can't be applied or leaves the document invalid a 422.
+ *
+ * ```javascript
+ * app.use(bodyParser.json());
+ * app.use('/api/orders', handler({ store: new MemoryDocumentStore({ 42: { total: 0 } }) }));
+ * ```
+ *
+ * @param {Object} options
+ * @param {Object} options.store The document store, see `MemoryDocumentStore`.
+ * @param {Function} [options.id] Gets the document id from the request, defaults to the path below the mount point.
+ * @param {Function} [options.adjust] Called with a copy of the patched document and `{ id, req, patch }`, returns the document to save, e.g. with an `updated_at` set.
+ * @param {Function} [options.validate] Called with the document about to be saved and `{ id, req }`, returns false or an error message to refuse the patch.
+ * @param {Number} [options.log] How many changes per document are kept for clients to catch up from, defaults to 100.
+ * @returns {Function} The `(req, res, next)` handler.
+ */
+const handler = options => {
+  if (!options || !options.store) throw new Error('A document store is required (options.store).');
+
+  const store = options.store;
+  const getId = options.id || (req => decodeURIComponent(req.url.split('?')[0].replace(/^\/+|\/+$/g, '')));
+  const log = options.log !== undefined ? options.log : 100;
+  const locks = Object.create(null);
+  const revisions = Object.create(null);
+
+  const changes = id => {
+    if (!revisions[id]) revisions[id] = { revision: Date.now(), entries: [] };
+    return revisions[id];
+  };
+
+  // every change to a document waits for the one before it, so none of them read a stale copy
+  const locked = (id, fn) => {
+    const run = (locks[id] || Promise.resolve()).then(fn);
+    const tail = run.catch(() => {});
+    locks[id] = tail;
+    tail.then(() => {
+      if (locks[id] === tail) delete locks[id];
+    });
+    return run;
+  };
+
+  // reads wait for changes too, so the revision sent is the one the document is at
+  const get = (id, req, res) =>
+    locked(id, async () => {
+      const document = await store.read(id);
+      if (document === undefined) return send(res, 404, { error: 'Not found.' });
+
+      const history = changes(id);
+      const headers = { ETag: tag(document), 'X-Revision': String(history.revision) };
+
+      const since = new URLSearchParams(req.url.split('?')[1] || '').get('since');
+      if (since !== null) {
+        const revision = Number(since);
+        if (since === '' || !Number.isInteger(revision)) {
+          return send(res, 400, { error: 'since must be a revision number.' });
+        }
+
+        const oldest = history.entries.length > 0 ? history.entries[0].revision - 1 : history.revision;
+        if (revision < oldest || revision > history.revision) {
+          return send(res, 410, { error: 'The changes since that revision are no longer kept.' });
+        }
+
+        return send(res, 200, history.entries.filter(entry => entry.revision > revision), headers);
+      }
+
+      if (req.headers['if-none-match'] === headers.ETag) return send(res, 304, undefined, headers);
+
+      send(res, 200, document, headers);
+    });
+
+  const patch = async (id, req, res) => {
+    let body = req.body;
+    if (body === undefined) {
+      try {
+        body = JSON.parse(await read(req));
+      } catch (e) {
+        return send(res, 400, { error: 'The body must be JSON.' });
+      }
+    }
+
+    const problem = invalid(body);
+    if (problem) return send(res, 400, { error: problem });
+
+    return locked(id, async () => {
+      const document = await store.read(id);
+      if (document === undefined) return send(res, 404, { error: 'Not found.' });
+
+      const expected = req.headers['if-match'];
+      if (expected && expected !== '*' && expected !== tag(document)) {
+        return send(res, 412, { error: 'The document changed since it was fetched.' });
+      }
+
+      let patched;
+      try {
+        patched = jiff.patch(body, document);
+      } catch (error) {
+        if (error instanceof TestFailedError) return send(res, 409, { error: error.message });
+        return send(res, 422, { error: error.message });
+      }
+
+      let saved = patched;
+      if (options.adjust) {
+        const adjusted = await options.adjust(jiff.clone(patched), { id: id, req: req, patch: body });
+        if (adjusted !== undefined) saved = adjusted;
+      }
+
+      if (options.validate) {
+        const result = await options.validate(saved, { id: id, req: req });
+        if (result === false || typeof result === 'string') {
+          return send(res, 422, { error: typeof result === 'string' ? result : 'The document is not valid.' });
+        }
+      }
+
+      await store.write(id, saved);
+      const adjustments = jiff.diff(patched, saved, { invertible: false });
+
+      const history = changes(id);
+      history.revision++;
+      // the test operations were checked here, they needn't be checked again by whoever catches up
+      const applied = body.filter(op => op.op !== 'test').concat(adjustments);
+      history.entries.push({ revision: history.revision, patch: applied });
+      if (history.entries.length > log) history.entries.splice(0, history.entries.length - log);
+
+      send(res, 200, adjustments, { ETag: tag(saved), 'X-Revision': String(history.revision) });
+    });
+  };
+
+  return (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'PATCH') {
+      if (next) return next();
+      return send(res, 405, { error: 'Only GET and PATCH are supported.' });
+    }
+
+    const id = getId(req);
+    const done = req.method === 'GET' ? get(id, req, res) : patch(id, req, res);
+    done.catch(error => {
+      if (next) return next(error);
+      send(res, 500, { error: 'The request could not be handled.' });
+    });
+  };
+};
+
+/**
+ * Check that a body is a JSON Patch.
+ *
+ * @param {*} patch The request body.
+ * @returns {String|null} What is wrong with it, or null if nothing is.
+ */
+const invalid = patch => {
+  if (!Array.isArray(patch)) return 'The body must be a JSON Patch array.';
+
+  for (let index = 0; index < patch.length; index++) {
+    const op = patch[index];
+    if (!op || typeof op !== 'object') return `Operation ${index} is not an object.`;
+    if (OPERATIONS.indexOf(op.op) === -1) return `Operation ${index} has an unknown op "${op.op}".`;
+    if (!isPointer(op.path)) return `Operation ${index} has an invalid path.`;
+    if ((op.op === 'move' || op.op === 'copy') && !isPointer(op.from)) return `Operation ${index} has an invalid from.`;
+    if (unsafe(op.path) || ((op.op === 'move' || op.op === 'copy') && unsafe(op.from))) {
+      return `Operation ${index} reaches into an object prototype.`;
+    }
+    if ((op.op === 'add' || op.op === 'replace' || op.op === 'test') && !('value' in op)) {
+      return `Operation ${index} is missing a value.`;
+    }
+  }
+
+  return null;
+};
+
+const isPointer = pointer => typeof pointer === 'string' && (pointer === '' || pointer.charAt(0) === '/');
+
+// jiff follows inherited properties, a path through them would change the prototypes of every object in the process
+const UNSAFE_TOKENS = ['__proto__', 'constructor', 'prototype'];
+const unsafe = pointer =>
+  pointer
+    .split('/')
+    .slice(1)
+    .some(token => UNSAFE_TOKENS.indexOf(token.replace(/~1/g, '/').replace(/~0/g, '~')) !== -1);
+
+const read = req =>
+  new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+
+const send = (res, status, body, headers) => {
+  res.statusCode = status;
+  const names = Object.keys(headers || {});
+  for (let index = 0; index < names.length; index++) {
+    res.setHeader(names[index], headers[names[index]]);
+  }
+
+  if (body === undefined) return res.end();
+
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+// FNV-1a over the JSON, the same document always gets the same tag
+const tag = document => {
+  const json = JSON.stringify(document);
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < json.length; index++) {
+    hash ^= json.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `"${hash.toString(16)}-${json.length}"`;
+};
+
+module.exports = { handler, MemoryDocumentStore };
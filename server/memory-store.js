@@ -0,0 +1,40 @@
+/**
+ * A document store for the reference server that keeps everything in memory.
+ *
+ * @author Joe Mills
+ * @module server/memory-store
+ */
+
+const jiff = require('jiff');
+
+/**
+ * Keeps documents in a plain object, mostly for tests and local development.
+ *
+ * A document store is any object with an async `read(id)` that resolves with the document, or
+ * undefined if there is none, and an async `write(id, document)` that replaces it.
+ */
+class MemoryDocumentStore {
+  /**
+   * Construct a new MemoryDocumentStore.
+   * @param {Object} [documents] The documents to start with, keyed by id.
+   */
+  constructor(documents) {
+    this._documents = {};
+
+    const ids = Object.keys(documents || {});
+    for (let index = 0; index < ids.length; index++) {
+      this._documents[ids[index]] = jiff.clone(documents[ids[index]]);
+    }
+  }
+
+  async read(id) {
+    if (!Object.prototype.hasOwnProperty.call(this._documents, id)) return undefined;
+    return jiff.clone(this._documents[id]);
+  }
+
+  async write(id, document) {
+    this._documents[id] = jiff.clone(document);
+  }
+}
+
+module.exports = MemoryDocumentStore;
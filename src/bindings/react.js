@@ -0,0 +1,31 @@
+/**
+ * React bindings, React itself is not a dependency of patched-sync and has to be installed by the app.
+ *
+ * @author Joe Mills
+ * @module bindings/react
+ */
+
+import { useCallback, useSyncExternalStore } from "react";
+
+/**
+ * Render with the object of a `PatchedSync`, re-rendering whenever it changes.
+ *
+ * ```javascript
+ * const order = usePatchedSync(orders_sync);
+ * const items = usePatchedSync(orders_sync, order => order.items);
+ * ```
+ *
+ * The snapshots are frozen and structurally shared (see `PatchedSync.getSnapshot`), so a selector picking
+ * out part of the object returns the same value until that part changes, and memoized children skip rendering.
+ *
+ * @param {PatchedSync} patched_sync The synced object.
+ * @param {Function} [selector] Picks the part of the snapshot the component needs.
+ * @returns {*} The snapshot, or what the selector picked from it.
+ */
+export const usePatchedSync = (patched_sync, selector) => {
+  const subscribe = useCallback(listener => patched_sync.subscribe(() => listener()), [patched_sync]);
+  const getSnapshot = useCallback(() => patched_sync.getSnapshot(), [patched_sync]);
+
+  const snapshot = useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+  return selector ? selector(snapshot) : snapshot;
+};
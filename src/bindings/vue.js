@@ -0,0 +1,36 @@
+/**
+ * Vue bindings, Vue itself is not a dependency of patched-sync and has to be installed by the app.
+ *
+ * @author Joe Mills
+ * @module bindings/vue
+ */
+
+import { getCurrentScope, onScopeDispose, shallowRef } from "vue";
+
+/**
+ * Get a ref to the object of a `PatchedSync`, updated whenever it changes.
+ *
+ * ```javascript
+ * setup() {
+ *   const order = usePatchedSync(orders_sync);
+ *   return { order }; // order.value.items in the template
+ * }
+ * ```
+ *
+ * The ref holds the frozen snapshot (see `PatchedSync.getSnapshot`), changes go through the `PatchedSync`.
+ * Used within a component or effect scope the subscription ends with it, otherwise call `stop` on the ref.
+ *
+ * @param {PatchedSync} patched_sync The synced object.
+ * @returns {Ref} A shallow ref to the snapshot, with a `stop` method.
+ */
+export const usePatchedSync = patched_sync => {
+  const snapshot = shallowRef(patched_sync.getSnapshot());
+  const unsubscribe = patched_sync.subscribe(value => {
+    snapshot.value = value;
+  });
+
+  if (getCurrentScope()) onScopeDispose(unsubscribe);
+  snapshot.stop = unsubscribe;
+
+  return snapshot;
+};
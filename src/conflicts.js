@@ -0,0 +1,171 @@
+/**
+ * Rebasing local changes over remote ones, and what to do when they collide.
+ *
+ * @author Joe Mills
+ * @module conflicts
+ */
+
+import Patcher from "./patcher";
+import * as pointer from "./pointer";
+
+/**
+ * The built in conflict policies.
+ */
+export const LOCAL_WINS = "local-wins";
+export const SERVER_WINS = "server-wins";
+
+/**
+ * Apply a patch one operation at a time, skipping operations that no longer apply.
+ *
+ * `test` operations are skipped as well, this is for bringing a copy of the object as close as
+ * possible to a state that is already known to be correct elsewhere.
+ *
+ * @param {Object[]} patch The JSON Patch to apply.
+ * @param {*} subject The object to apply it to, it is not modified.
+ * @returns {*} The patched copy.
+ */
+export const settle = (patch, subject) => {
+  for (let index = 0; index < patch.length; index++) {
+    if (patch[index].op === "test") continue;
+
+    try {
+      subject = Patcher.apply([patch[index]], subject);
+    } catch (e) {
+      // already applied, or the location is gone
+    }
+  }
+
+  return subject;
+};
+
+/**
+ * Find the remote operations that touch the same location as an operation.
+ *
+ * @param {Object} op The JSON Patch operation.
+ * @param {Object[]} remote The remote JSON Patch.
+ * @returns {Object[]} The clashing remote operations.
+ */
+export const clashes = (op, remote) => {
+  const paths = op.op === "move" ? [op.path, op.from] : [op.path];
+  return remote.filter(other => {
+    if (other.op === "test") return false;
+
+    const other_paths = other.op === "move" ? [other.path, other.from] : [other.path];
+    for (let a = 0; a < paths.length; a++) {
+      for (let b = 0; b < other_paths.length; b++) {
+        if (pointer.overlaps(paths[a], other_paths[b])) return true;
+      }
+    }
+    return false;
+  });
+};
+
+/**
+ * Check if any of a list of remote patches touched the same values as a local patch.
+ *
+ * @param {Object[]} patch The local JSON Patch.
+ * @param {Object[][]} remote The remote JSON Patches.
+ * @returns {Boolean} True if they collide anywhere.
+ */
+export const collides = (patch, remote) => {
+  for (let r = 0; r < remote.length; r++) {
+    for (let index = 0; index < patch.length; index++) {
+      if (patch[index].op === "test") continue;
+      if (clashes(patch[index], remote[r]).length > 0) return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Rebuild the local object on top of a new server state.
+ *
+ * The local changes (the difference between the old server state and the local object) are rebased
+ * over the remote changes. A local operation that touches the same location as a remote one is a
+ * conflict, and is handed to the policy to decide. A policy can be:
+ *
+ * - `"server-wins"` - the local operation is dropped.
+ * - `"local-wins"` - the local operation is applied over the remote change.
+ * - A function called with `{ path, local, remote, local_value, server_value }` that returns
+ *   `"local"`, `"server"` or a JSON Patch to apply to the server state instead.
+ * - An object of JSON Pointer patterns (`*` matching any segment) to either of the above. The most
+ *   specific pattern covering the path is used, `""` covers everything. Unmatched paths use `"server-wins"`.
+ *
+ * @param {*} server The server state the local object was based on.
+ * @param {*} local The local object.
+ * @param {*} incoming The new server state.
+ * @param {String|Function|Object} policy How to resolve conflicts.
+ * @returns {Object} `{ object, rebased }`, the new local object and whether there were local changes to rebase.
+ */
+export const merge = (server, local, incoming, policy) => {
+  const local_patch = Patcher.diff(server, local).filter(op => op.op !== "test");
+  if (local_patch.length === 0) return { object: Patcher.clone(incoming), rebased: false };
+
+  const remote_patch = Patcher.diff(server, incoming);
+  const clean = [];
+  const resolved = [];
+
+  for (let index = 0; index < local_patch.length; index++) {
+    const op = local_patch[index];
+    const remote = clashes(op, remote_patch);
+    if (remote.length === 0) {
+      clean.push(op);
+      continue;
+    }
+
+    const tokens = pointer.parse(op.path);
+    const resolution = decide(policy, tokens, {
+      path: op.path,
+      local: op,
+      remote: remote,
+      local_value: Patcher.clone(pointer.resolve(local, tokens)),
+      server_value: Patcher.clone(pointer.resolve(incoming, tokens)),
+    });
+
+    if (resolution === "local" || resolution === LOCAL_WINS) {
+      resolved.push(op);
+    } else if (Array.isArray(resolution)) {
+      for (let r = 0; r < resolution.length; r++) resolved.push(resolution[r]);
+    }
+  }
+
+  let rebased;
+  try {
+    rebased = Patcher.rebase([remote_patch], clean);
+  } catch (e) {
+    // the operations don't commute, fall back to applying them where they are
+    rebased = clean;
+  }
+
+  return { object: settle(rebased.concat(resolved), incoming), rebased: true };
+};
+
+const decide = (policy, tokens, conflict) => {
+  if (!policy) return SERVER_WINS;
+  if (typeof policy === "string") return policy;
+  if (typeof policy === "function") return policy(conflict);
+
+  let best = null;
+  let best_length = -1;
+  const patterns = Object.keys(policy);
+  for (let index = 0; index < patterns.length; index++) {
+    const pattern = pointer.parse(patterns[index]);
+    if (pattern.length > best_length && covers(pattern, tokens)) {
+      best = policy[patterns[index]];
+      best_length = pattern.length;
+    }
+  }
+
+  return best ? decide(best, tokens, conflict) : SERVER_WINS;
+};
+
+const covers = (pattern, tokens) => {
+  if (pattern.length > tokens.length) return false;
+
+  for (let index = 0; index < pattern.length; index++) {
+    if (pattern[index] !== "*" && pattern[index] !== tokens[index]) return false;
+  }
+
+  return true;
+};
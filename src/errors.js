@@ -0,0 +1,133 @@
+/**
+ * The errors patched-sync rejects with.
+ *
+ * @author Joe Mills
+ * @module errors
+ */
+
+/**
+ * The server answered with an error status.
+ */
+export class HTTPError extends Error {
+  /**
+   * @param {Number} status The HTTP status code.
+   * @param {*} [body] The response body, parsed as JSON when possible.
+   */
+  constructor(status, body) {
+    super(`The server responded with status ${status}.`);
+    this.name = "HTTPError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * The server could not be reached at all.
+ */
+export class NetworkError extends Error {
+  constructor(message) {
+    super(message || "The server could not be reached.");
+    this.name = "NetworkError";
+  }
+}
+
+/**
+ * A request took longer than its timeout.
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {Number} timeout The timeout in ms that was exceeded.
+   */
+  constructor(timeout) {
+    super(`The request did not complete within ${timeout}ms.`);
+    this.name = "TimeoutError";
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * A request was cancelled through its AbortSignal.
+ *
+ * Uses the same name as the DOMException fetch rejects with, so checking `error.name === "AbortError"` covers both.
+ */
+export class AbortError extends Error {
+  constructor() {
+    super("The request was aborted.");
+    this.name = "AbortError";
+  }
+}
+
+/**
+ * The server refused a PATCH with 412 Precondition Failed, the object changed since the ETag it was based on.
+ */
+export class ConflictError extends HTTPError {
+  /**
+   * @param {String} etag The ETag sent in `If-Match`.
+   * @param {*} [body] The response body, parsed as JSON when possible.
+   */
+  constructor(etag, body) {
+    super(412, body);
+    this.name = "ConflictError";
+    this.message = "The object changed on the server since it was last fetched.";
+    this.etag = etag;
+  }
+}
+
+/**
+ * A guarded change was refused because one of its `test` operations failed.
+ */
+export class PreconditionError extends Error {
+  /**
+   * @param {Object[]} tests The `test` operations that failed, or every one that was sent when the server doesn't say.
+   * @param {*} [cause] What the transport rejected with, when it was the server that refused.
+   */
+  constructor(tests, cause) {
+    super(`A precondition of the change failed: ${tests.map(test => test.path).join(", ")}.`);
+    this.name = "PreconditionError";
+    this.tests = tests;
+    this.cause = cause;
+  }
+}
+
+/**
+ * A JSON Patch is malformed, or one of its operations could not be applied.
+ */
+export class PatchError extends Error {
+  /**
+   * @param {String} message What went wrong.
+   * @param {Object} details
+   * @param {String} details.reason A short code: "invalid", "not-found", "bad-index", "not-container", "test-failed", "not-invertible", "not-commutable" or "not-representable".
+   * @param {Number} [details.index] The position of the failing operation in the patch.
+   * @param {Object} [details.operation] The failing operation.
+   * @param {String} [details.pointer] The JSON Pointer that could not be used.
+   */
+  constructor(message, details) {
+    super(details && details.index !== undefined ? `Operation ${details.index}: ${message}` : message);
+    this.name = "PatchError";
+    this.reason = details.reason;
+    this.index = details.index;
+    this.operation = details.operation;
+    this.pointer = details.pointer;
+  }
+}
+
+/**
+ * A change would leave the object in a state its JSON Schema doesn't allow.
+ */
+export class SchemaError extends Error {
+  /**
+   * @param {Object[]} errors The violations, `{ path, keyword, message }` each.
+   */
+  constructor(errors) {
+    const listed = errors.map(error => `${error.path || "/"} ${error.message}`).join(", ");
+    super(`The object doesn't match its schema: ${listed}.`);
+    this.name = "SchemaError";
+    this.errors = errors;
+    // the messages per JSON Pointer, so a form can show them next to its fields
+    this.paths = {};
+    errors.forEach(error => {
+      if (!this.paths[error.path]) this.paths[error.path] = [];
+      this.paths[error.path].push(error.message);
+    });
+  }
+}
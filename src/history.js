@@ -0,0 +1,178 @@
+/**
+ * A versioned record of every change applied to a synced object.
+ *
+ * @author Joe Mills
+ * @module history
+ */
+
+import Patcher from "./patcher";
+
+/**
+ * Where a change came from.
+ */
+export const LOCAL = "local";
+export const REMOTE = "remote";
+export const ROLLBACK = "rollback";
+
+/**
+ * Keeps every change applied to an object as a numbered version, so the object can be rebuilt as it
+ * was at any of them.
+ *
+ * Every entry is `{ version, time, origin, instance_id, patch }`. `origin` is "local" for changes made
+ * with this `PatchedSync`, "remote" for changes from the server, including server side adjustments to a
+ * local change, and "rollback" for a local change taken back because the server refused it. `instance_id`
+ * is the `PatchedSync` that made a local change, null for changes from the server. `patch` is the JSON
+ * Patch that turned the previous version into this one.
+ *
+ * ```javascript
+ * // what did the record look like before the last save?
+ * const last = patched_sync.versions.last("local");
+ * patched_sync.versions.at(last.version - 1);
+ * ```
+ *
+ * Only the most recent `depth` versions are kept, older ones are folded into the oldest kept state.
+ */
+export default class VersionHistory {
+  /**
+   * Construct a new VersionHistory.
+   *
+   * @param {*} object The object at version 0.
+   * @param {Number} [depth] How many versions are kept, defaults to 1000.
+   */
+  constructor(object, depth) {
+    this.depth = depth || 1000;
+
+    this._base = Patcher.clone(object);
+    this._base_version = 0;
+    this._entries = [];
+  }
+
+  /**
+   * @returns {Number} The current version, 0 until something changed.
+   */
+  get version() {
+    return this._base_version + this._entries.length;
+  }
+
+  /**
+   * @returns {Number} The oldest version that can still be rebuilt.
+   */
+  get oldest() {
+    return this._base_version;
+  }
+
+  /**
+   * Record a change.
+   *
+   * @param {Object[]} patch The JSON Patch that was applied.
+   * @param {String} origin "local", "remote" or "rollback".
+   * @param {String|null} instance_id The instance that made the change, null if it isn't known.
+   * @returns {Object} The entry.
+   */
+  record(patch, origin, instance_id) {
+    const entry = {
+      version: this.version + 1,
+      time: Date.now(),
+      origin: origin,
+      instance_id: instance_id,
+      patch: Patcher.clone(patch),
+    };
+    this._entries.push(entry);
+
+    while (this._entries.length > this.depth) {
+      const oldest = this._entries.shift();
+      this._base = Patcher.apply(oldest.patch, this._base);
+      this._base_version = oldest.version;
+    }
+
+    return copy(entry);
+  }
+
+  /**
+   * List the kept entries, oldest first.
+   *
+   * @param {Object} [filter]
+   * @param {String} [filter.origin] Only entries from this origin.
+   * @param {Number} [filter.since] Only entries made at or after this time, in ms since the epoch.
+   * @param {Number} [filter.until] Only entries made at or before this time, in ms since the epoch.
+   * @returns {Object[]} The entries.
+   */
+  list(filter) {
+    filter = filter || {};
+    return this._entries
+      .filter(
+        entry =>
+          (!filter.origin || entry.origin === filter.origin) &&
+          (filter.since === undefined || entry.time >= filter.since) &&
+          (filter.until === undefined || entry.time <= filter.until)
+      )
+      .map(copy);
+  }
+
+  /**
+   * @param {Number} version The version.
+   * @returns {Object|null} The entry that made the version, or null if it isn't kept.
+   */
+  entry(version) {
+    const entry = this._entries[version - this._base_version - 1];
+    return entry ? copy(entry) : null;
+  }
+
+  /**
+   * @param {String} [origin] Only look at entries from this origin.
+   * @returns {Object|null} The most recent entry, or null if there is none.
+   */
+  last(origin) {
+    for (let index = this._entries.length - 1; index >= 0; index--) {
+      if (!origin || this._entries[index].origin === origin) return copy(this._entries[index]);
+    }
+    return null;
+  }
+
+  /**
+   * Rebuild the object as it was at a version.
+   *
+   * @param {Number} version The version, from `oldest` to `version`.
+   * @returns {*} A copy of the object at that version.
+   */
+  at(version) {
+    if (version < this._base_version || version > this.version) {
+      throw new Error(`Version ${version} is not kept, versions ${this._base_version} to ${this.version} are.`);
+    }
+
+    let object = this._base;
+    for (let index = 0; index < version - this._base_version; index++) {
+      object = Patcher.apply(this._entries[index].patch, object);
+    }
+    return Patcher.clone(object);
+  }
+
+  /**
+   * Rebuild the object as it was at a point in time.
+   *
+   * @param {Number|Date} time The time, in ms since the epoch or as a Date.
+   * @returns {*} A copy of the object as it was then, as far back as versions are kept.
+   */
+  asOf(time) {
+    const limit = time instanceof Date ? time.getTime() : time;
+
+    let version = this._base_version;
+    for (let index = 0; index < this._entries.length && this._entries[index].time <= limit; index++) {
+      version = this._entries[index].version;
+    }
+    return this.at(version);
+  }
+
+  /**
+   * Work out what changed between two versions.
+   *
+   * @param {Number} from The earlier version.
+   * @param {Number} [to] The later version, defaults to the current one.
+   * @returns {Object[]} The JSON Patch turning the object at `from` into the object at `to`.
+   */
+  diff(from, to) {
+    return Patcher.diff(this.at(from), this.at(to === undefined ? this.version : to));
+  }
+}
+
+const copy = entry => Object.assign({}, entry, { patch: Patcher.clone(entry.patch) });
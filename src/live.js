@@ -0,0 +1,127 @@
+/**
+ * A Proxy over a document that records plain JavaScript mutations as JSON Patch operations.
+ *
+ * @author Joe Mills
+ * @module live
+ */
+
+import Patcher from "./patcher";
+import * as pointer from "./pointer";
+
+// the array methods that change the array they are called on
+const MUTATORS = ["push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill", "copyWithin"];
+
+/**
+ * Make a Proxy over a document whose mutations are recorded rather than made.
+ *
+ * Reading through the proxy always reads the document `read` returns at that moment, nested objects and
+ * arrays being proxies themselves. Assigning, `delete` and the array methods that change an array in place
+ * are turned into JSON Patch operations and handed to `write`, along with a function that makes the same
+ * change on a document, so the caller decides where the change goes.
+ *
+ * Array methods are recorded as the difference between the array before and after, so `sort` or `reverse`
+ * become the removes and adds that reorder it. `delete` on an array element isn't supported, use `splice`.
+ *
+ * @param {Function} read Returns the document.
+ * @param {Function} write Called with the operations of a mutation, and a function taking a document, changing it in place and returning it.
+ * @returns {Proxy} The proxy over the whole document.
+ */
+export const track = (read, write) => {
+  const proxies = {};
+
+  const current = path => pointer.resolve(read(), pointer.parse(path));
+
+  const wrap = path => {
+    const value = current(path);
+    if (value === null || typeof value !== "object") return value;
+
+    const array = Array.isArray(value);
+    const cached = proxies[path];
+    if (cached && cached.array === array) return cached.proxy;
+
+    const proxy = new Proxy(array ? [] : {}, handler(path));
+    proxies[path] = { proxy: proxy, array: array };
+    return proxy;
+  };
+
+  // change a copy of an array and record the difference, the array is then replaced as a whole
+  const rewrite = (path, fn) => {
+    const before = current(path);
+    const after = Patcher.clone(before);
+    const result = fn(after);
+
+    const ops = Patcher.diff(before, after, { invertible: false }).map(op =>
+      Object.assign(op, { path: path + op.path })
+    );
+    if (ops.length > 0) write(ops, document => put(document, path, Patcher.clone(after)));
+
+    return result === after ? wrap(path) : result;
+  };
+
+  const handler = path => ({
+    get: (target, key) => {
+      const value = current(path);
+      if (typeof key === "symbol") return Reflect.get(value, key);
+
+      if (Array.isArray(value) && MUTATORS.indexOf(key) !== -1) {
+        return (...args) => rewrite(path, after => after[key](...args.map(Patcher.clone)));
+      }
+      if (!Object.prototype.hasOwnProperty.call(value, key)) return Reflect.get(value, key);
+
+      return wrap(path + pointer.compile([key]));
+    },
+
+    set: (target, key, value) => {
+      const before = current(path);
+      value = Patcher.clone(value);
+
+      if (Array.isArray(before)) {
+        rewrite(path, after => {
+          after[key] = value;
+        });
+        return true;
+      }
+
+      const at = path + pointer.compile([key]);
+      const exists = Object.prototype.hasOwnProperty.call(before, key);
+      if (value === undefined) return exists ? remove(at) : true;
+      if (exists && Patcher.equal(before[key], value)) return true;
+
+      write([{ op: exists ? "replace" : "add", path: at, value: value }], document =>
+        put(document, at, Patcher.clone(value))
+      );
+      return true;
+    },
+
+    deleteProperty: (target, key) => {
+      const before = current(path);
+      if (Array.isArray(before)) return false;
+      if (!Object.prototype.hasOwnProperty.call(before, key)) return true;
+
+      return remove(path + pointer.compile([key]));
+    },
+
+    has: (target, key) => key in current(path),
+    ownKeys: () => Reflect.ownKeys(current(path)),
+    getOwnPropertyDescriptor: (target, key) => Reflect.getOwnPropertyDescriptor(current(path), key),
+  });
+
+  const remove = at => {
+    write([{ op: "remove", path: at }], document => {
+      const tokens = pointer.parse(at);
+      delete pointer.resolve(document, tokens.slice(0, -1))[tokens[tokens.length - 1]];
+      return document;
+    });
+    return true;
+  };
+
+  return wrap("");
+};
+
+const put = (document, path, value) => {
+  if (path === "") return value;
+
+  const tokens = pointer.parse(path);
+  pointer.resolve(document, tokens.slice(0, -1))[tokens[tokens.length - 1]] = value;
+  return document;
+};
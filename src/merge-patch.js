@@ -0,0 +1,114 @@
+/**
+ * JSON Merge Patch (RFC 7386) helpers, for servers that take `application/merge-patch+json`.
+ *
+ * @author Joe Mills
+ * @module merge-patch
+ */
+
+import Patcher from "./patcher";
+import { PatchError } from "./errors";
+import * as pointer from "./pointer";
+
+/**
+ * The wire formats a change can be sent in.
+ */
+export const JSON_PATCH = "json-patch";
+export const MERGE_PATCH = "merge-patch";
+
+/**
+ * The content type merge patches are sent with.
+ */
+export const CONTENT_TYPE = "application/merge-patch+json";
+
+/**
+ * Apply a JSON Merge Patch.
+ *
+ * Members of an object in the merge patch are merged into the document, a `null` member removes the
+ * member, anything that isn't an object (arrays included) replaces the value outright.
+ *
+ * @param {*} merge_patch The JSON Merge Patch.
+ * @param {*} document The document to apply it to, it is not modified.
+ * @returns {*} The patched copy of the document.
+ */
+export const apply = (merge_patch, document) => {
+  if (!isObject(merge_patch)) return Patcher.clone(merge_patch);
+
+  const patched = isObject(document) ? Patcher.clone(document) : {};
+  const keys = Object.keys(merge_patch);
+  for (let index = 0; index < keys.length; index++) {
+    const key = keys[index];
+    if (merge_patch[key] === null) {
+      delete patched[key];
+    } else {
+      patched[key] = apply(merge_patch[key], patched[key]);
+    }
+  }
+  return patched;
+};
+
+/**
+ * Work out the JSON Merge Patch that turns one document into another.
+ *
+ * A merge patch can't say everything a JSON Patch can: an array that changed at all is sent whole,
+ * and since `null` means "remove", a member can't be set to `null`.
+ *
+ * @param {*} a The document before.
+ * @param {*} b The document after.
+ * @returns {*} The JSON Merge Patch, `{}` when nothing in an object changed.
+ * @throws {PatchError} If a member is set to `null`.
+ */
+export const diff = (a, b) => changes(a, b, "");
+
+const changes = (a, b, path) => {
+  if (!isObject(a) || !isObject(b)) {
+    if (b === null) throw notRepresentable(path);
+    return replacement(b, path);
+  }
+
+  const merge_patch = {};
+  Object.keys(a).forEach(key => {
+    if (!has(b, key)) merge_patch[key] = null;
+  });
+
+  Object.keys(b).forEach(key => {
+    const key_path = path + pointer.compile([key]);
+    if (b[key] === null) {
+      if (a[key] !== null) throw notRepresentable(key_path);
+    } else if (!has(a, key)) {
+      merge_patch[key] = replacement(b[key], key_path);
+    } else if (isObject(a[key]) && isObject(b[key])) {
+      const nested = changes(a[key], b[key], key_path);
+      if (Object.keys(nested).length > 0) merge_patch[key] = nested;
+    } else if (!Patcher.equal(a[key], b[key])) {
+      merge_patch[key] = replacement(b[key], key_path);
+    }
+  });
+
+  return merge_patch;
+};
+
+// a value sent whole is merged in too, so a null member anywhere in it would remove that member
+const replacement = (value, path) => {
+  refuseNulls(value, path);
+  return Patcher.clone(value);
+};
+
+const refuseNulls = (value, path) => {
+  if (!isObject(value)) return;
+
+  Object.keys(value).forEach(key => {
+    const key_path = path + pointer.compile([key]);
+    if (value[key] === null) throw notRepresentable(key_path);
+    refuseNulls(value[key], key_path);
+  });
+};
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const notRepresentable = path =>
+  new PatchError(`"${path}" is set to null, which a merge patch can only express as removing it.`, {
+    reason: "not-representable",
+    pointer: path,
+  });
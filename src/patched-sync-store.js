@@ -0,0 +1,360 @@
+/**
+ * Many synced documents over one transport.
+ *
+ * @author Joe Mills
+ * @module patched-sync-store
+ */
+
+import PatchedSync from "./patched-sync";
+import FetchTransport from "./transports/fetch";
+import WebSocketTransport from "./transports/websocket";
+import XMLHttpRequestTransport from "./transports/xmlhttprequest";
+import BroadcastTransport from "./transports/broadcast";
+import { poll, changes } from "./transports/poll";
+import { makeid } from "./utils";
+
+// config keys that belong to the store rather than the documents
+const STORE_KEYS = [
+  "transport",
+  "get_url",
+  "patch_url",
+  "socket_url",
+  "get_message",
+  "patch_message",
+  "interval",
+  "params",
+  "poll",
+  "interceptors",
+  "tabs",
+];
+
+/**
+ * Keeps a `PatchedSync` per document, all of them sharing one transport.
+ *
+ * Documents are identified by a key, which fills the `:id` placeholder of the URL templates:
+ *
+ * ```javascript
+ * const orders = new PatchedSyncStore({ transport: "fetch", get_url: "/api/orders/:id", patch_url: "/api/orders/:id" });
+ * const order = await orders.load("42"); // a PatchedSync for /api/orders/42
+ * ```
+ *
+ * Loading a document that is already loaded, or being loaded, returns the same `PatchedSync`, so list and
+ * detail views share state without asking the server twice. With an HTTP transport every started document
+ * is checked in one poll loop, with the websocket transport they all share the socket.
+ */
+export default class PatchedSyncStore {
+  /**
+   * Construct a new PatchedSyncStore.
+   *
+   * Anything in the config that isn't listed here is handed to every document's `PatchedSync`, e.g. `conflict` or `batch`.
+   *
+   * @param {Object} config The configuration.
+   * @param {String|Object} config.transport "fetch", "xmlhttprequest", "websocket", or a transport object with a `bind(key, get_url, patch_url)` method.
+   * @param {String} [config.get_url] The GET URL template, required for the HTTP transports.
+   * @param {String} [config.patch_url] The PATCH URL template, required for the HTTP transports.
+   * @param {String} [config.socket_url] The socket URL, required for the "websocket" transport.
+   * @param {String} [config.get_message] The get message name, required for the "websocket" transport.
+   * @param {String} [config.patch_message] The patch message name, required for the "websocket" transport.
+   * @param {Number} [config.interval] How often in ms the documents are polled, defaults to 30000.
+   * @param {Object} [config.params] Values for the other placeholders in the URL templates.
+   * @param {Boolean} [config.poll] Whether documents are polled, defaults to true for everything but the "websocket" transport.
+   * @param {Function[]} [config.interceptors] Interceptors every request of every document goes through, added to the store's transport once.
+   * @param {Boolean|String} [config.tabs] Share every document with the other browser tabs loading it, see `BroadcastTransport`. Either true, each document's channel then being named after its GET URL, or the socket URL and its key, or a name the keys are appended to.
+   */
+  constructor(config) {
+    if (!config) throw new Error("A configuration object is required as the first parameter of the constructor.");
+
+    this.get_url = config.get_url;
+    this.patch_url = config.patch_url;
+    this.interval = config.interval || 30000;
+    this._params = config.params || {};
+    this._polling = config.poll !== undefined ? !!config.poll : config.transport !== "websocket";
+    this._tabs = config.tabs || false;
+    this._socket_url = config.socket_url;
+    if (this._tabs && typeof this._tabs !== "string" && !config.get_url && !config.socket_url) {
+      throw new Error("A channel name is required (config.tabs)");
+    }
+
+    this._doc_config = {};
+    Object.keys(config).forEach(key => {
+      if (STORE_KEYS.indexOf(key) === -1) this._doc_config[key] = config[key];
+    });
+
+    this._documents = {};
+    this._polled = {};
+    this._listeners = {
+      "doc:load": [],
+      "doc:evict": [],
+      "doc:change": [],
+      "doc:error": [],
+    };
+    this._started = false;
+    this._stop = null;
+
+    if (typeof config.transport === "string") {
+      switch (config.transport) {
+        case "xmlhttprequest":
+          if (!config.get_url) throw new Error("Get URL must be defined (config.get_url)");
+          if (!config.patch_url) throw new Error("Patch URL must be defined (config.patch_url)");
+          this.transport = new XMLHttpRequestTransport(config.get_url, config.patch_url, this.interval);
+          break;
+
+        case "fetch":
+          if (!config.get_url) throw new Error("Get URL must be defined (config.get_url)");
+          if (!config.patch_url) throw new Error("Patch URL must be defined (config.patch_url)");
+          this.transport = new FetchTransport(config.get_url, config.patch_url, this.interval);
+          break;
+
+        case "websocket":
+          if (!config.socket_url) throw new Error("Socket URL must be defined (config.socket_url)");
+          if (!config.get_message) throw new Error("Get message name is required (config.get_message)");
+          if (!config.patch_message) throw new Error("Patch message name is required (config.patch_message)");
+          this.transport = new WebSocketTransport(config.socket_url, config.get_message, config.patch_message);
+          break;
+
+        default:
+          throw new Error("No transport was defined (config.transport)");
+      }
+    } else if (config.transport && typeof config.transport.bind === "function") {
+      this.transport = config.transport;
+    } else {
+      throw new Error("Transport must be either a name or an object with a bind() method.");
+    }
+
+    // the documents' transports share the store's interceptors, adding them per document would repeat them
+    if (config.interceptors) {
+      if (typeof this.transport.use !== "function") throw new Error("The transport doesn't take interceptors.");
+      config.interceptors.forEach(interceptor => this.transport.use(interceptor));
+    }
+  }
+
+  /**
+   * Listen to events from every document.
+   *
+   * Event names are as follows:
+   * - `doc:load` - Fired when a document was loaded, with the key and the object.
+   * - `doc:evict` - Fired when a document was evicted, with the key.
+   * - `doc:change` - Fired when a document changed, locally or on the server, with the key, the object and the JSON Patch.
+   * - `doc:error` - Fired when a request for a document failed, with the key and the error event of its `PatchedSync`.
+   *
+   * @param {String} event_name The event name to listen to.
+   * @param {Function} fn The function to execute on that event.
+   * @returns {String} The listener key, which can be passed to `off`.
+   */
+  on(event_name, fn) {
+    if (!this._listeners[event_name]) throw new Error(`Unknown event "${event_name}".`);
+    if (typeof fn !== "function") throw new Error("A listener must be a function.");
+
+    const key = makeid(12);
+    this._listeners[event_name].push({ key: key, fn: fn });
+    return key;
+  }
+
+  /**
+   * Remove a listener.
+   *
+   * @param {String|Function} key_or_fn The key returned by `on`, or the listener itself.
+   * @returns {Boolean} True if a listener was removed.
+   */
+  off(key_or_fn) {
+    let removed = false;
+    Object.keys(this._listeners).forEach(event_name => {
+      const listeners = this._listeners[event_name];
+      this._listeners[event_name] = listeners.filter(
+        listener => listener.key !== key_or_fn && listener.fn !== key_or_fn
+      );
+      if (this._listeners[event_name].length !== listeners.length) removed = true;
+    });
+    return removed;
+  }
+
+  /**
+   * Send a notification for an event type.
+   *
+   * @param {String} event_name The event name to fire.
+   * @param {String} key The document key.
+   * @param {*} [data] The data from the event, if any.
+   * @param {Object[]} [patch] The JSON Patch that caused the event, if any.
+   */
+  notify(event_name, key, data, patch) {
+    this._listeners[event_name].slice().forEach(listener => {
+      try {
+        listener.fn(key, data, patch);
+      } catch (error) {
+        // one broken listener shouldn't keep the rest from hearing about it
+        setTimeout(() => {
+          throw error;
+        });
+      }
+    });
+  }
+
+  /**
+   * Load a document, or return it if it is already loaded.
+   *
+   * @param {String} key The document key.
+   * @param {Object} [object] The document as it is on the server, e.g. from a list response, to use instead of fetching it.
+   * @returns {Promise<PatchedSync>} Resolves with the document's `PatchedSync` once it is loaded.
+   */
+  load(key, object) {
+    key = String(key);
+    if (this._documents[key]) return this._documents[key].loaded;
+
+    const doc = this._create(key, object);
+    const entry = { doc: doc, loaded: null };
+    this._documents[key] = entry;
+
+    entry.loaded = (object ? Promise.resolve() : doc.fetch()).then(
+      () => {
+        if (this._started && this._documents[key] === entry) doc.start();
+        this.notify("doc:load", key, doc.get());
+        return doc;
+      },
+      error => {
+        if (this._documents[key] === entry) delete this._documents[key];
+        if (this._tabs) doc.transport.close();
+        throw error;
+      }
+    );
+
+    return entry.loaded;
+  }
+
+  /**
+   * @param {String} key The document key.
+   * @returns {PatchedSync} The document's `PatchedSync` if it is loaded or being loaded, otherwise undefined.
+   */
+  get(key) {
+    const entry = this._documents[String(key)];
+    return entry ? entry.doc : undefined;
+  }
+
+  /**
+   * @returns {String[]} The keys of every loaded document.
+   */
+  keys() {
+    return Object.keys(this._documents);
+  }
+
+  /**
+   * Stop syncing a document and forget about it, once its pending changes are sent.
+   *
+   * @param {String} key The document key.
+   * @returns {Promise<Boolean>} Resolves with true if the document was loaded.
+   */
+  async evict(key) {
+    key = String(key);
+    const entry = this._documents[key];
+    if (!entry) return false;
+
+    delete this._documents[key];
+    try {
+      await entry.loaded;
+      await entry.doc.flush();
+    } catch (e) {
+      // it is going away either way
+    }
+    entry.doc.stop();
+    // hands the document over to another tab still syncing it
+    if (this._tabs) entry.doc.transport.close();
+
+    this.notify("doc:evict", key);
+    return true;
+  }
+
+  /**
+   * Start receiving server side changes for every loaded document, and every document loaded after.
+   */
+  start() {
+    if (this._started) return;
+    this._started = true;
+
+    this.keys().forEach(key => this._documents[key].doc.start());
+    if (this._polling) this._stop = poll(() => this._poll(), this.interval, () => {});
+  }
+
+  /**
+   * Stop receiving server side changes.
+   */
+  stop() {
+    this._started = false;
+    if (this._stop) this._stop();
+    this._stop = null;
+
+    this.keys().forEach(key => this._documents[key].doc.stop());
+    if (typeof this.transport.stop === "function") this.transport.stop();
+  }
+
+  /**
+   * Send every pending change of every document.
+   *
+   * @returns {Promise} Resolves once every document was flushed.
+   */
+  flush() {
+    return Promise.all(this.keys().map(key => this._documents[key].doc.flush()));
+  }
+
+  _create(key, object) {
+    const params = Object.assign({}, this._params, { id: key });
+    const get_url = fill(this.get_url, params);
+    const bound = this.transport.bind(key, get_url, fill(this.patch_url, params));
+
+    // polled documents are checked by the store's one loop instead of each running their own
+    const transport = !this._polling
+      ? bound
+      : {
+          get: options => bound.get(options),
+          patch: (patch, options) => bound.patch(patch, options),
+          delta: typeof bound.delta === "function" ? options => bound.delta(options) : undefined,
+          start: (on_object, on_patch, on_error) => {
+            this._polled[key] = { bound, on_object, on_patch, on_error };
+          },
+          stop: () => {
+            delete this._polled[key];
+          },
+        };
+
+    const shared = this._tabs ? new BroadcastTransport(transport, this._channel(key, get_url)) : transport;
+    const doc = new PatchedSync(Object.assign({}, this._doc_config, { transport: shared }), object);
+    doc.on("remote:change", (data, patch) => this.notify("doc:change", key, data, patch));
+    doc.on("patch:end", (data, patch) => this.notify("doc:change", key, data, patch));
+    doc.on("*:error", error => this.notify("doc:error", key, error));
+
+    return doc;
+  }
+
+  // a channel per document, the same one a PatchedSync of its own would use for the URL
+  _channel(key, get_url) {
+    if (typeof this._tabs === "string") return `${this._tabs}:${key}`;
+    return get_url ? `patched-sync:${get_url}` : `patched-sync:${this._socket_url}:${key}`;
+  }
+
+  async _poll() {
+    const keys = Object.keys(this._polled);
+    for (let index = 0; index < keys.length; index++) {
+      const polled = this._polled[keys[index]];
+      if (!polled) continue;
+
+      try {
+        // only the changes since the document's revision, when its transport knows one
+        const result =
+          polled.on_patch && typeof polled.bound.delta === "function"
+            ? await changes(polled.bound)
+            : { object: await polled.bound.get() };
+        if (this._polled[keys[index]] !== polled) continue;
+
+        if (!result.patch) polled.on_object(result.object);
+        else if (result.patch.length > 0) polled.on_patch(result.patch);
+      } catch (error) {
+        if (polled.on_error) polled.on_error(error);
+      }
+    }
+  }
+}
+
+const fill = (template, params) => {
+  if (!template) return template;
+  return template.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (placeholder, name) =>
+    params[name] !== undefined ? encodeURIComponent(params[name]) : placeholder
+  );
+};
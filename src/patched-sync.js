@@ -7,8 +7,20 @@
 
 import FetchTransport from "./transports/fetch";
 import WebSocketTransport from "./transports/websocket";
+import EventSourceTransport from "./transports/eventsource";
 import XMLHttpRequestTransport from "./transports/xmlhttprequest";
-import jiff from "jiff";
+import BroadcastTransport from "./transports/broadcast";
+import Patcher from "./patcher";
+import { makeid } from "./utils";
+import * as pointer from "./pointer";
+import PatchQueue from "./queue";
+import { merge, settle, collides, clashes } from "./conflicts";
+import * as mergePatch from "./merge-patch";
+import { AbortError, PreconditionError, SchemaError } from "./errors";
+import { compile } from "./schema";
+import { track } from "./live";
+import { share } from "./snapshot";
+import VersionHistory, { LOCAL, REMOTE, ROLLBACK } from "./history";
 
 /**
  * Create and manage a patched sync object and connection
@@ -24,16 +36,37 @@ export default class PatchedSync {
    *
    * @param {*} initial_object The object to be kept in sync.
    * @param {Object} config The configuration to be used to keep the object in sync.
-   * @param {String} config.transport The type of transport used to communicate with the server, should be "xmlhttprequest", "fetch", "websocket", or an object that conforms to the transform API.
-   * @param {String} config.get_url The URL to use to fetch the server side version of the object, required for "xmlhttprequest" and "fetch" transports.
-   * @param {String} config.patch_url The JSON Patch endpoint, required for "xmlhttprequest" and "fetch" transports.
+   * @param {String} config.transport The type of transport used to communicate with the server, should be "xmlhttprequest", "fetch", "websocket", "sse", or an object that conforms to the transform API.
+   * @param {String} config.get_url The URL to use to fetch the server side version of the object, required for "xmlhttprequest", "fetch" and "sse" transports.
+   * @param {String} config.patch_url The JSON Patch endpoint, required for "xmlhttprequest", "fetch" and "sse" transports.
+   * @param {String} config.events_url The Server-Sent Events stream URL, required for the "sse" transport.
    * @param {String} config.socket_url The web-socket URL if the "websocket" transport is used, required for the "websocket" transport.
-   * @param {String} config.fetch_message The message name to use to request and receive the server side version of the object, required for the "websocket" transport.
+   * @param {String} config.get_message The message name to use to request and receive the server side version of the object, required for the "websocket" transport.
    * @param {String} config.patch_message The message name to use to send and receive patches from the server, required for the "websocket" transport.
+   * @param {Boolean} [config.optimistic] When true (the default) local changes show up right away and are rolled back if the server rejects them, when false they only show up once the server accepts them.
+   * @param {String|Function|Object} [config.conflict] How to resolve local changes that collide with changes from the server, "server-wins" (the default), "local-wins", a resolver function, or an object of per-path rules. See `conflicts.merge`.
+   * @param {Boolean|Number|Object} [config.batch] Coalesce changes made in quick succession into one PATCH request. Either true, the debounce window in ms, or `{ wait, max_wait }`.
+   * @param {Number} [config.batch.wait] How long in ms to wait for another change before sending, defaults to 100.
+   * @param {Number} [config.batch.max_wait] The longest in ms a change is held back while changes keep coming, defaults to 1000.
+   * @param {Number} [config.max_in_flight] How many PATCH requests can be waiting on the server at once, defaults to 1. The HTTP transports still send them one at a time while they track an ETag.
+   * @param {Boolean} [config.guard] When true (the default) a `test` operation is sent ahead of every replaced or removed value, so the server refuses changes to values it no longer has. When false only the preconditions given to `change` and `patch` are sent.
+   * @param {String} [config.format] How changes are sent, "json-patch" (the default) or "merge-patch" for servers that only take JSON Merge Patch (RFC 7386). See `_wire` for what a merge patch can't express.
+   * @param {Object|Function} [config.schema] A JSON Schema the object must match, see `schema.compile` for the supported keywords. Local changes that don't match are refused before they are sent. A function can be given instead, called with the object and returning a list of `{ path, message }` violations.
+   * @param {Number} [config.conflict_retries] How many times a PATCH the server refused as stale (412) is refetched, rebased and sent again, defaults to 3.
+   * @param {Number} [config.live_wait] How long in ms changes made through `live()` are collected before they are sent, defaults to 0, which sends them once the current task is done.
+   * @param {Number} [config.history_depth] How many versions of the object `versions` keeps, defaults to 1000.
+   * @param {Function[]} [config.interceptors] Interceptors every request to the server goes through, e.g. to add an auth token. See `transports/interceptors`.
+   * @param {Boolean|String} [config.tabs] Share the transport with the other browser tabs syncing the same object, see `BroadcastTransport`. Either true, the channel then being named after `get_url` or `socket_url`, or the channel name.
+   * @param {Number} [config.undo_depth] How many local changes `undo` can step back through, defaults to 100.
+   * @param {Object} [config.queue] A store (see `stores/`) used to keep patches that could not be sent, enables offline mode.
+   * @param {Number} [config.queue_retry] How often in ms to retry sending queued patches, defaults to 5000.
+   * @param {Function} [config.queue_when] Decides if a transport error means the patch should be queued, defaults to network and 5xx errors.
    */
   constructor(config, initial_object) {
     initial_object = initial_object || {};
-    this._object = jiff.clone(initial_object) || {};
+    this._object = Patcher.clone(initial_object) || {};
+    // the last known state of the object on the server, local changes are whatever differs from it
+    this._server = Patcher.clone(this._object);
     this._listeners = {
       "get:start": [],
       "get:end": [],
@@ -41,13 +74,79 @@ export default class PatchedSync {
       "patch:start": [],
       "patch:end": [],
       "patch:error": [],
+      "remote:change": [],
+      "remote:error": [],
+      "queue:add": [],
+      "queue:remove": [],
+      "queue:start": [],
+      "queue:end": [],
+      "queue:error": [],
+      "listener:error": [],
     };
 
     this._history = [];
     this._instance_id = makeid(12);
 
+    this._subscribers = [];
+    this._snapshot = { source: null, value: undefined };
+    this._published = undefined;
+
     if (!config) throw new Error("A configuration object is required as the first parameter of the constructor.");
 
+    this._optimistic = config.optimistic !== false;
+    this._conflict = config.conflict;
+
+    this._guard = config.guard !== false;
+    this._schema = typeof config.schema === "function" ? config.schema : config.schema ? compile(config.schema) : null;
+    this._format = config.format || mergePatch.JSON_PATCH;
+    if (this._format !== mergePatch.JSON_PATCH && this._format !== mergePatch.MERGE_PATCH) {
+      throw new Error(`Unknown format "${config.format}", it should be "json-patch" or "merge-patch".`);
+    }
+    this._conflict_retries = config.conflict_retries !== undefined ? config.conflict_retries : 3;
+    this._max_in_flight = config.max_in_flight || 1;
+    this._in_flight = 0;
+    this._waiting = [];
+    this._tail = Promise.resolve();
+
+    this._batch = null;
+    this._batching = null;
+    if (config.batch) {
+      const batch = typeof config.batch === "object" ? config.batch : {};
+      this._batching = {
+        wait: typeof config.batch === "number" ? config.batch : batch.wait || 100,
+        max_wait: batch.max_wait || 1000,
+      };
+    }
+    // every change to the local object, whatever its origin, see `history.js`
+    this.versions = new VersionHistory(this._object, config.history_depth);
+
+    this._live = null;
+    this._live_wait = config.live_wait || 0;
+    this._undo_depth = config.undo_depth || 100;
+    this._undo = [];
+    this._redo = [];
+
+    this._queue = null;
+    if (config.queue) {
+      this._queue = new PatchQueue(config.queue);
+      this._queue_retry = config.queue_retry || 5000;
+      this._queue_when = config.queue_when || isOffline;
+      this._queue_timer = null;
+      this._replaying = null;
+      this._queue_loaded = this._queue.load().then(
+        () => {
+          if (this._queue.length === 0) return;
+
+          // the edits were made before a reload, bring them back into the local object
+          const pending = this._pending(this._object);
+          this._object = pending.object;
+          this._commit(pending.patch, LOCAL);
+          this._background();
+        },
+        () => {}
+      );
+    }
+
     if (config.transport) {
       if (typeof config.transport === "string") {
         switch (config.transport) {
@@ -70,6 +169,13 @@ export default class PatchedSync {
             this.transport = new WebSocketTransport(config.socket_url, config.get_message, config.patch_message);
             break;
 
+          case "sse":
+            if (!config.get_url) throw new Error("Get URL must be defined (config.get_url)");
+            if (!config.patch_url) throw new Error("Patch URL must be defined (config.patch_url)");
+            if (!config.events_url) throw new Error("Events URL must be defined (config.events_url)");
+            this.transport = new EventSourceTransport(config.get_url, config.patch_url, config.events_url);
+            break;
+
           default:
             throw new Error("No transport was defined (config.transport)");
         }
@@ -78,6 +184,19 @@ export default class PatchedSync {
       } else {
         throw new Error("Transport must be either an object or a string.");
       }
+
+      if (config.interceptors) {
+        if (typeof this.transport.use !== "function") throw new Error("The transport doesn't take interceptors.");
+        config.interceptors.forEach(interceptor => this.transport.use(interceptor));
+      }
+
+      if (config.tabs) {
+        const url = config.get_url || config.socket_url;
+        if (typeof config.tabs !== "string" && !url) throw new Error("A channel name is required (config.tabs)");
+
+        const channel = typeof config.tabs === "string" ? config.tabs : `patched-sync:${url}`;
+        this.transport = new BroadcastTransport(this.transport, channel);
+      }
     }
   }
 
@@ -87,71 +206,404 @@ export default class PatchedSync {
    * Event names are as follows:
    * - `get:start` - Fired when a GET request is sent to the transport.
    * - `get:end` - Fired when a GET request is completed successfully.
-   * - `get:error` - Fired when a GET request fails.
+   * - `get:error` - Fired when a GET request fails, with `{ error }`.
    * - `patch:start` - Fired when a PATCH request starts.
    * - `patch:end` - Fired when a PATCH request completes successfully.
-   * - `patch:error` - Fired when a PATCH request fails.
+   * - `remote:change` - Fired when a change made on the server is applied, from polling or a push transport.
+   *   Listeners get the object and the JSON Patch that was applied to it.
+   * - `remote:error` - Fired when a JSON Patch from the server doesn't apply cleanly, with `{ patch, error }`. `error` is
+   *   a `PatchError` naming the failing operation, the operations that still apply are applied anyway. Also fired with
+   *   a `SchemaError` when a change from the server leaves the object not matching `config.schema`, it is kept regardless.
+   * - `patch:error` - Fired when a PATCH request fails, with `{ patch, error, object, rolled_back }`. `object` is the
+   *   state after the failed patch was rolled back, `rolled_back` is false if that was no longer possible.
+   * - `queue:add` - Fired when a patch could not be sent and was queued, with `{ pending }`.
+   * - `queue:remove` - Fired when a queued patch was sent, with `{ pending }`.
+   * - `queue:start` - Fired when queued patches start being replayed, with `{ pending }`.
+   * - `queue:end` - Fired when every queued patch was sent, with `{ pending }`.
+   * - `queue:error` - Fired when replaying fails, or the queue can't be stored, with `{ pending, error, dropped }`.
+   *   `dropped` is true when the server refused the patch.
+   * - `listener:error` - Fired when a listener throws, with `{ event, key, error }`.
+   *
+   * An event name without a phase, such as `patch`, listens to the `:end` phase. Either side of the
+   * name can be `*`, so `*` listens to every event, `patch:*` to every patch event and `*:error` to
+   * every error event.
+   *
+   * Listeners are called with the event data and, for events that change the object, the JSON Patch
+   * that was applied.
+   *
+   * When a path is given the listener is only called for events that carry a patch, and only when
+   * one of the patch operations touches that path, something inside it, or one of its parents.
+   * The path is a JSON Pointer in which a `*` segment matches any single segment, at any depth.
+   * Instead of the event data the listener gets the value at the path, the operations that
+   * touched it, and the concrete pointer that matched:
+   *
+   * ```javascript
+   * patched_sync.on("patch", "/items/*", (item, ops, pointer) => { ... });
+   * ```
+   *
+   * A wildcard path is called once for each matching location that was touched.
    *
    * @param {String} event_name The event name to listen to.
-   * @param {String} [path] Currently un-used, but eventually it will allow functions to filter by object path.
+   * @param {String} [path] A JSON Pointer used to only listen to changes to part of the object.
    * @param {Function} fn The function to execute on that event.
+   * @returns {String} The listener key, which can be passed to `off`.
    */
   on(command, path, fn) {
+    return this._listen(command, path, fn, false);
+  }
+
+  /**
+   * Listen to an event only once.
+   *
+   * Takes the same arguments as `on`, the listener is removed right before it is called for the first time.
+   * With a wildcard event name the listener is removed from every event it was registered for.
+   *
+   * @param {String} event_name The event name to listen to.
+   * @param {String} [path] A JSON Pointer used to only listen to changes to part of the object.
+   * @param {Function} fn The function to execute on that event.
+   * @returns {String} The listener key, which can be passed to `off`.
+   */
+  once(command, path, fn) {
+    return this._listen(command, path, fn, true);
+  }
+
+  /**
+   * Stop listening.
+   *
+   * @param {String|Function} key_or_fn The listener key returned by `on`/`once`, or the listener function itself.
+   * @returns {Boolean} True if any listener was removed.
+   */
+  off(key_or_fn) {
+    let removed = false;
+    const events = Object.keys(this._listeners);
+    for (let index = 0; index < events.length; index++) {
+      const listeners = this._listeners[events[index]];
+      for (let l = listeners.length - 1; l >= 0; l--) {
+        if (listeners[l].key === key_or_fn || listeners[l].fn === key_or_fn) {
+          listeners.splice(l, 1);
+          removed = true;
+        }
+      }
+    }
+
+    return removed;
+  }
+
+  _listen(command, path, fn, once) {
     if (!fn && typeof path === "function") {
       fn = path;
       path = null;
     }
 
-    fn.listener_key = this._listeners.length + makeid(16);
+    if (typeof fn !== "function") throw new Error("A listener function is required.");
 
-    if (command === "*" || command === "*:*") {
-      this._listeners["get:start"].push(fn);
-      this._listeners["get:end"].push(fn);
-      this._listeners["patch:start"].push(fn);
-      this._listeners["patch:end"].push(fn);
-    } else {
-      if (command.indexOf(":") === -1) command += ":end";
-      this._listeners[command].push(fn);
+    const events = this._events(command);
+    if (events.length === 0) throw new Error(`Unknown event "${command}".`);
+
+    const key = makeid(16);
+    fn.listener_key = key;
+
+    const listener = {
+      key: key,
+      fn: fn,
+      once: once,
+      pattern: typeof path === "string" ? pointer.parse(path) : null,
+    };
+
+    for (let index = 0; index < events.length; index++) {
+      this._listeners[events[index]].push(listener);
     }
 
-    return fn.listener_key;
+    return key;
+  }
+
+  /**
+   * Expand an event name into the events it refers to.
+   *
+   * A name without a phase (`patch`) means the `:end` phase, and either side may be `*`,
+   * so `*` matches everything, `patch:*` every patch event and `*:error` every error event.
+   */
+  _events(command) {
+    if (command === "*") command = "*:*";
+    if (command.indexOf(":") === -1) command += ":end";
+
+    const [name, phase] = command.split(":");
+    return Object.keys(this._listeners).filter(event_name => {
+      const [event, event_phase] = event_name.split(":");
+      return (name === "*" || name === event) && (phase === "*" || phase === event_phase);
+    });
   }
 
   /**
    * Send a notification for an event type.
+   *
+   * A listener that throws does not stop the others from being called, the exception is
+   * passed on as a `listener:error` event instead.
+   *
    * @param {String} event_name The event name to fire.
    * @param {*} [data] The data from the event, if any.
+   * @param {Object[]} [patch] The JSON Patch that caused the event, if any.
    */
-  notify(event_name, data) {
-    data = jiff.clone(data);
+  notify(event_name, data, patch) {
+    this._dispatch(event_name, cloneEvent(data), patch);
+  }
+
+  _dispatch(event_name, data, patch) {
     if (!this._listeners[event_name]) return;
 
-    const listeners = this._listeners[event_name];
+    // copied so listeners can be added or removed while dispatching
+    const listeners = this._listeners[event_name].slice();
     for (let index = 0; index < listeners.length; index++) {
-      listeners[index](data);
+      const listener = listeners[index];
+      if (listener.fired) continue;
+
+      try {
+        if (!listener.pattern) {
+          this._invoke(listener, data, patch);
+          continue;
+        }
+
+        if (!patch) continue;
+
+        const matches = pointer.match(listener.pattern, patch, data);
+        for (let m = 0; m < matches.length && !listener.fired; m++) {
+          this._invoke(listener, pointer.resolve(data, matches[m].tokens), matches[m].ops, matches[m].pointer);
+        }
+      } catch (error) {
+        if (event_name === "listener:error") {
+          // nowhere left to report it, surface it without interrupting the dispatch
+          setTimeout(() => {
+            throw error;
+          });
+        } else {
+          this._dispatch("listener:error", { event: event_name, key: listener.key, error: error });
+        }
+      }
     }
   }
 
+  // a once listener is only removed when it is actually called, not when its path wasn't touched
+  _invoke(listener, ...args) {
+    if (listener.once) {
+      listener.fired = true;
+      this.off(listener.key);
+    }
+    listener.fn(...args);
+  }
+
+  /**
+   * Start listening to the transport for changes made on the server.
+   *
+   * Polling transports hand back the full object, which is diffed against the local one so only the
+   * difference is applied, or once they know the server's revision just the patches since it. Push
+   * transports (such as the websocket transport) hand back individual patches. Patches are applied with
+   * `receive`. Either way `remote:change` fires with the patch, and a failed poll fires `get:error`.
+   */
   start() {
-    this.transport.start(obj => {
-      this._object = obj;
-    });
+    this.transport.start(
+      obj => {
+        const patch = this._incoming(obj);
+        if (patch.length > 0) this.notify("remote:change", this._object, patch);
+      },
+      (patch, format) => {
+        // only the broadcast transport hands over merge patches, those another tab sent
+        if (format === mergePatch.MERGE_PATCH) {
+          patch = Patcher.diff(this._server, mergePatch.apply(patch, this._server), { invertible: false });
+        }
+        this.receive(patch);
+      },
+      error => this.notify("get:error", { error: error })
+    );
   }
 
   stop() {
     this.transport.stop();
   }
 
-  async fetch() {
+  /**
+   * Get the object from the server and merge it into the local one.
+   *
+   * When the transport tracks the server's revision (see `FetchTransport.delta`) only the changes since
+   * the last fetch are downloaded, the whole object only when the server can't tell what they are.
+   *
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Cancels the request, the promise then rejects with an `AbortError`.
+   * @returns {Promise<Object>} A copy of the updated object.
+   */
+  async fetch(options) {
     this.notify("get:start");
-    this._object = await this.transport.get();
-    this.notify("get:end", this._object);
 
-    return jiff.clone(this._object);
+    let server_object;
+    let delta = null;
+    try {
+      const request_options = requestOptions(options);
+      if (typeof this.transport.delta === "function") delta = await this.transport.delta(request_options);
+      if (delta === null) server_object = await this.transport.get(request_options);
+    } catch (error) {
+      this.notify("get:error", { error: error });
+      throw error;
+    }
+
+    if (this._queue) await this._queue_loaded;
+    const patch = delta !== null ? this._receive(delta) : this._incoming(server_object);
+    this.notify("get:end", this._object, patch);
+
+    return Patcher.clone(this._object);
   }
 
   get() {
-    return jiff.clone(this._object);
+    return Patcher.clone(this._object);
+  }
+
+  /**
+   * Get an immutable snapshot of the object.
+   *
+   * The snapshot is frozen and only replaced when the object changes, and then the parts that didn't
+   * change are the same objects as in the snapshot before. Unlike `get` nothing is copied when nothing
+   * changed, so it is cheap to call on every render and safe to compare by reference.
+   *
+   * @returns {*} The snapshot.
+   */
+  getSnapshot() {
+    if (this._snapshot.source !== this._object) {
+      this._snapshot = { source: this._object, value: share(this._snapshot.value, this._object) };
+    }
+
+    return this._snapshot.value;
+  }
+
+  /**
+   * Be told whenever the object changes, for whatever reason: local changes, their rollback, and changes from the server.
+   *
+   * The listener is called with the current snapshot right away and then with every new one, see `getSnapshot`.
+   * This is the contract of Svelte stores, so a `PatchedSync` can be used as one (`$order`), and what React's
+   * `useSyncExternalStore` expects along with `getSnapshot`.
+   *
+   * @param {Function} listener Called with the snapshot.
+   * @returns {Function} Stops calling the listener.
+   */
+  subscribe(listener) {
+    if (typeof listener !== "function") throw new Error("A listener must be a function.");
+
+    const subscriber = { fn: listener };
+    this._subscribers.push(subscriber);
+    this._call(subscriber, this.getSnapshot());
+
+    return () => {
+      const index = this._subscribers.indexOf(subscriber);
+      if (index !== -1) this._subscribers.splice(index, 1);
+    };
+  }
+
+  /**
+   * Record a change to the object in the version history and tell the subscribers about it.
+   *
+   * @param {Object[]} patch The JSON Patch that was applied to the object.
+   * @param {String} origin "local", "remote" or "rollback".
+   */
+  _commit(patch, origin) {
+    if (patch.length === 0) return;
+
+    // the server doesn't say which instance made a change
+    this.versions.record(patch, origin, origin === REMOTE ? null : this._instance_id);
+    this._publish();
+  }
+
+  _publish() {
+    if (this._subscribers.length === 0) return;
+
+    const snapshot = this.getSnapshot();
+    if (snapshot === this._published) return;
+    this._published = snapshot;
+
+    const subscribers = this._subscribers.slice();
+    for (let index = 0; index < subscribers.length; index++) {
+      // one that unsubscribed while the others were being called isn't called anymore
+      if (this._subscribers.indexOf(subscribers[index]) !== -1) this._call(subscribers[index], snapshot);
+    }
+  }
+
+  _call(subscriber, snapshot) {
+    try {
+      subscriber.fn(snapshot);
+    } catch (error) {
+      this._dispatch("listener:error", { event: "subscribe", key: null, error: error });
+    }
+  }
+
+  /**
+   * Apply a patch that was pushed from the server.
+   *
+   * Nothing is sent back through the transport, the patch is applied to the internal object
+   * and `remote:change` is fired so listeners can react to it.
+   *
+   * @param {Object[]} patch The JSON Patch formatted changes from the server.
+   * @returns {Object} A copy of the updated object.
+   */
+  receive(patch) {
+    if (!patch || patch.length === 0) return Patcher.clone(this._object);
+
+    const applied = this._receive(patch);
+    if (applied.length > 0) this.notify("remote:change", this._object, applied);
+
+    return Patcher.clone(this._object);
+  }
+
+  /**
+   * Apply a patch from the server to its state and bring that into the local object, see `_incoming`.
+   *
+   * @param {Object[]} patch The JSON Patch from the server.
+   * @returns {Object[]} The JSON Patch that was applied to the local object.
+   */
+  _receive(patch) {
+    if (patch.length === 0) return [];
+
+    let server_object;
+    let failure = null;
+    try {
+      server_object = Patcher.apply(patch, this._server);
+    } catch (error) {
+      failure = error;
+      server_object = settle(patch, this._server);
+    }
+
+    const applied = this._incoming(server_object, patch);
+    if (failure) this.notify("remote:error", { patch: patch, error: failure });
+    return applied;
+  }
+
+  /**
+   * Bring a new server state into the local object.
+   *
+   * Local changes the server hasn't acknowledged yet, because they are in flight or queued, are
+   * rebased on top of it rather than being overwritten. Collisions are resolved with `config.conflict`.
+   *
+   * @param {*} server_object The new server state.
+   * @param {Object[]} [patch] The patch the server sent, if it sent one, used as is when there was nothing to rebase.
+   * @returns {Object[]} The JSON Patch that was applied to the local object.
+   */
+  _incoming(server_object, patch) {
+    const old_object = this._object;
+    const merged = merge(this._server, this._object, server_object, this._conflict);
+    this._object = merged.object;
+    this._server = Patcher.clone(server_object);
+    this._remote(old_object, this._object);
+
+    const applied = patch && !merged.rebased ? patch : Patcher.diff(old_object, this._object);
+    this._commit(applied, REMOTE);
+    this._verify(applied);
+    return applied;
+  }
+
+  /**
+   * Check the object against the schema after a change from the server. The server has the last word,
+   * so a violation is only reported with `remote:error`.
+   */
+  _verify(patch) {
+    if (!this._schema || patch.length === 0) return;
+
+    const violations = this._schema(this._object) || [];
+    if (violations.length > 0) this.notify("remote:error", { patch: patch, error: new SchemaError(violations) });
   }
 
   /**
@@ -167,7 +619,7 @@ export default class PatchedSync {
    * There are also special operations that can be performed on objects and arrays.
    * For objects, you can ensure the removal of an element by using `PatchedSync.DELETE`
    * as the value.  This will be detected and the element of the object will be removed.
-   * Note this does not work in arrays.
+   * Note this does not work in arrays. With the "merge-patch" format a removal is sent as `null`.
    *
    * For arrays, you can either pass in a replacement array that is dropped in place
    * of the old array or an object. We don't attempt a merge because it is nearly
@@ -192,9 +644,25 @@ export default class PatchedSync {
    * index.  The other operation, `remove` also does a splice, but removes the
    * element at that index.
    *
+   * Preconditions can be attached with `options.expect`, an object of JSON Pointers to the values they must
+   * still have. They are sent as `test` operations ahead of the change, so the change is only applied if they
+   * all hold, both locally and on the server:
+   *
+   * ```javascript
+   * patched_sync.change({ status: "published" }, { expect: { "/status": "draft" } });
+   * ```
+   *
+   * If one fails the promise rejects with a `PreconditionError` and the change is rolled back.
+   *
+   * With `config.schema` set, a change that would leave the object not matching the schema isn't applied or
+   * sent, the promise rejects with a `SchemaError` listing the violations per JSON Pointer.
+   *
    * @param {Object} obj The object with changes to be applied to the main object.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Cancels the request, the change is then rolled back like a rejected one.
+   * @param {Object} [options.expect] JSON Pointers to the values they must have for the change to apply.
    */
-  async change(obj) {
+  async change(obj, options) {
     this.notify("patch:start");
 
     const deepChange = (subject, changes) => {
@@ -236,6 +704,7 @@ export default class PatchedSync {
                   subject[key] = null;
                   delete subject[key];
                 }
+                break;
               default:
                 subject[key] = value;
             }
@@ -248,17 +717,13 @@ export default class PatchedSync {
       return subject;
     };
 
-    const old_object = jiff.clone(this._object);
-    this._object = deepChange(this._object, obj);
-    const patch = jiff.diff(old_object, this._object);
-    this._history.push(patch);
-
-    const server_patch = await this.transport.patch(patch);
-    this._object = jiff.patch(server_patch, this._object);
+    const latest = this._latest();
+    const patch = Patcher.diff(latest, deepChange(Patcher.clone(latest), obj));
+    this._undoable(patch);
 
-    this.notify("patch:end", this._object);
+    await this._send(patch, options);
 
-    return jiff.clone(this._object);
+    return Patcher.clone(this._object);
   }
 
   /**
@@ -267,34 +732,686 @@ export default class PatchedSync {
    * This method is expecting the full object to be diffed and patched against the internal object.
    *
    * @param {Object} obj The object to perform the diff and patch on.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Cancels the request, the change is then rolled back like a rejected one.
+   * @param {Object} [options.expect] JSON Pointers to the values they must have for the change to apply, see `change`.
    */
-  async patch(obj) {
+  async patch(obj, options) {
     this.notify("patch:start");
-    const patch = jiff.diff(this._object, obj);
-    this._history.push(patch);
-    this._object = jiff.clone(jiff.patch(patch, this._object));
+    const patch = Patcher.diff(this._latest(), obj);
+    this._undoable(patch);
 
-    const server_patch = await this.transport.patch(patch);
-    this._object = jiff.patch(server_patch, this._object);
+    await this._send(patch, options);
 
-    this.notify("patch:end", this._object);
+    return Patcher.clone(this._object);
+  }
 
-    return this._object;
+  /**
+   * Get a live handle on the object, a Proxy that records ordinary JavaScript mutations as changes.
+   *
+   * ```javascript
+   * const order = patched_sync.live();
+   * order.status = "shipped";
+   * order.items.push({ sku: "abc", quantity: 1 });
+   * delete order.coupon;
+   * ```
+   *
+   * Assignments, `delete` and the array methods that change an array in place (`push`, `pop`, `shift`,
+   * `unshift`, `splice`, `sort`, `reverse`, `fill` and `copyWithin`) are recorded as JSON Patch operations.
+   * Everything recorded within `config.live_wait` ms, or the current task when that is 0, is sent as one
+   * change, the same way `patch` sends one. Until then reads through the handle see the recorded changes
+   * but `get` doesn't, `flush` sends them right away.
+   *
+   * A change that is refused is rolled back like any other, and reported with `patch:error` since there
+   * is no promise to reject.
+   *
+   * @returns {Proxy} The live handle, the same one on every call.
+   */
+  live() {
+    if (!this._live) {
+      this._live = { ops: [], draft: null, timer: null, proxy: null };
+      this._live.proxy = track(
+        () => this._live.draft || this._latest(),
+        (ops, mutate) => this._record(ops, mutate)
+      );
+    }
+
+    return this._live.proxy;
+  }
+
+  _record(ops, mutate) {
+    const live = this._live;
+    if (!live.draft) live.draft = Patcher.clone(this._latest());
+    live.draft = mutate(live.draft);
+    for (let index = 0; index < ops.length; index++) live.ops.push(ops[index]);
+
+    const send = () => this._sendLive().catch(() => {});
+    if (this._live_wait > 0) {
+      clearTimeout(live.timer);
+      live.timer = setTimeout(send, this._live_wait);
+    } else if (live.ops.length === ops.length) {
+      Promise.resolve().then(send);
+    }
   }
 
   /**
-   * The history of changes made to this object durring the lifetime of this instance.
-   * @param {Number} [reverse_index] The 0 based reverse index from the end of the array towards the beginning.
-   * @returns {JSONPatch} A JSON Patch formatted array.
+   * Send the changes recorded through the live handle as one change.
    */
-  history(reverse_index) {
-    if (this._history.length === 0) return null;
+  _sendLive() {
+    const live = this._live;
+    if (!live || live.ops.length === 0) return Promise.resolve();
+
+    const ops = live.ops;
+    live.ops = [];
+    live.draft = null;
+    clearTimeout(live.timer);
+    live.timer = null;
 
-    if (!reverse_index) {
-      return this._history[0];
+    // changes from the server may have come in since, the operations are replayed on top of them
+    const latest = this._latest();
+    const patch = Patcher.diff(latest, settle(ops, latest));
+    if (patch.length === 0) return Promise.resolve();
+
+    this.notify("patch:start");
+    this._undoable(patch);
+    return this._send(patch);
+  }
+
+  /**
+   * Undo the most recent local change.
+   *
+   * The inverse of the change is applied locally and sent through the transport like any other change,
+   * so the server is updated as well. Changes that came from the server since then are rebased around.
+   * If the server has since changed the same values the change can't be undone safely, it is skipped
+   * and the next most recent one is tried instead.
+   *
+   * @returns {Promise<Object|null>} A copy of the updated object, or null if there was nothing left to undo.
+   */
+  async undo() {
+    return this._step(this._undo, this._redo);
+  }
+
+  /**
+   * Redo the most recently undone change.
+   *
+   * Works the same way as `undo`. Any new local change clears what can be redone.
+   *
+   * @returns {Promise<Object|null>} A copy of the updated object, or null if there was nothing left to redo.
+   */
+  async redo() {
+    return this._step(this._redo, this._undo);
+  }
+
+  /**
+   * @returns {Boolean} True if there is a local change that can be undone.
+   */
+  canUndo() {
+    return this._undo.length > 0;
+  }
+
+  /**
+   * @returns {Boolean} True if there is an undone change that can be redone.
+   */
+  canRedo() {
+    return this._redo.length > 0;
+  }
+
+  async _step(from, to) {
+    while (from.length > 0) {
+      const entry = from.pop();
+      if (collides(entry.patch, entry.remote)) continue;
+
+      // test operations are dropped, rebasing does not move their paths
+      let inverse = Patcher.inverse(entry.patch).filter(op => op.op !== "test");
+      let updated;
+      try {
+        if (entry.remote.length > 0) inverse = Patcher.rebase(entry.remote, inverse);
+        updated = Patcher.apply(inverse, this._latest());
+      } catch (e) {
+        continue;
+      }
+
+      this.notify("patch:start");
+      const patch = Patcher.diff(this._latest(), updated);
+      this._push(to, patch);
+      await this._send(patch);
+
+      return Patcher.clone(this._object);
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply a local patch and send it to the server.
+   *
+   * In optimistic mode the patch is applied to the internal object right away and rolled back if the
+   * server rejects it, otherwise it is applied once the server accepts it. When batching, the patch is
+   * held back and combined with the ones that follow it. A batched request is shared by several
+   * changes, so it can't be cancelled by any one of them and their signals are ignored. A guarded
+   * patch is never batched, its preconditions are about the state right before it.
+   */
+  async _send(patch, options) {
+    const tests = preconditions(options);
+    if (tests.length > 0 && this._format === mergePatch.MERGE_PATCH) {
+      const error = new Error("Preconditions can't be sent as a merge patch, use the json-patch format.");
+      this._reject(patch, error, false);
+      throw error;
+    }
+
+    const latest = this._latest();
+    const failed = failing(tests, latest);
+    if (failed.length > 0) {
+      const error = new PreconditionError(failed);
+      this._reject(patch, error, false);
+      throw error;
+    }
+
+    const violations = this._schema ? this._schema(Patcher.apply(patch, latest)) || [] : [];
+    if (violations.length > 0) {
+      const error = new SchemaError(violations);
+      this._reject(patch, error, false);
+      throw error;
+    }
+
+    const before = this._object;
+    if (this._optimistic) {
+      this._object = Patcher.apply(patch, this._object);
+      this._commit(patch, LOCAL);
+    }
+
+    if (this._batching) {
+      if (tests.length === 0) return this._batched(patch, before);
+      this._sendBatch();
+    }
+    return this._transmit(patch, [patch], requestOptions(options), tests);
+  }
+
+  /**
+   * Hold a patch back until changes stop coming for `batch.wait` ms, or `batch.max_wait` ms have passed
+   * since the first one. Resolves once the combined patch was sent.
+   */
+  _batched(patch, before) {
+    if (!this._batch) {
+      this._batch = { before: before, after: before, parts: [], waiters: [], started: Date.now(), timer: null };
+    }
+
+    const batch = this._batch;
+    batch.after = Patcher.apply(patch, batch.after);
+    batch.parts.push(patch);
+
+    clearTimeout(batch.timer);
+    const wait = Math.min(this._batching.wait, batch.started + this._batching.max_wait - Date.now());
+    batch.timer = setTimeout(() => this._sendBatch(), Math.max(0, wait));
+
+    return new Promise((resolve, reject) => batch.waiters.push({ resolve, reject }));
+  }
+
+  // a batch that isn't optimistic holds back changes that aren't in the object yet, the next ones go on top of them
+  _latest() {
+    return this._batch && !this._optimistic ? this._batch.after : this._object;
+  }
+
+  /**
+   * Send the changes held back by batching as one patch.
+   */
+  _sendBatch() {
+    const batch = this._batch;
+    if (!batch) return Promise.resolve();
+
+    this._batch = null;
+    clearTimeout(batch.timer);
+
+    // diffing the first and last state gives the smallest patch with the same result
+    const patch = Patcher.diff(batch.before, batch.after);
+    const sent = patch.length > 0 ? this._transmit(patch, batch.parts) : Promise.resolve();
+
+    return sent.then(
+      () => batch.waiters.forEach(waiter => waiter.resolve()),
+      error => batch.waiters.forEach(waiter => waiter.reject(error))
+    );
+  }
+
+  /**
+   * Wait for every change made so far to be acknowledged by the server.
+   *
+   * Changes recorded through the live handle or held back by batching are sent right away. In offline
+   * mode queued patches are replayed, but patches that still can't be sent stay queued.
+   *
+   * @returns {Promise<Number>} Resolves with the number of patches left in the offline queue.
+   */
+  async flush() {
+    const live = this._sendLive().catch(() => {});
+    await this._sendBatch();
+    await live;
+    await this._tail;
+
+    return this.replay();
+  }
+
+  /**
+   * Send a patch through the transport.
+   *
+   * Every patch goes through one ordered pipeline. At most `max_in_flight` requests are sent at once
+   * and the responses are applied in the order the patches were sent, whatever order they come back in.
+   * In offline mode the patch is queued when the transport is unreachable, or when older patches are
+   * still waiting, so that patches always reach the server in order.
+   *
+   * When the server refuses the patch because it was based on a stale version of the object (a
+   * `ConflictError`, from a 412 Precondition Failed) the object is fetched again, the local changes
+   * are rebased onto it, and the rebased patch is sent in its place.
+   *
+   * @param {Object[]} patch The JSON Patch to send.
+   * @param {Object[][]} parts The local patches it is made of, forgotten by undo if it is rejected.
+   * @param {Object} [options] Handed to the transport, e.g. `{ signal }`.
+   * @param {Object[]} [tests] The preconditions, sent as `test` operations ahead of the patch.
+   */
+  _transmit(patch, parts, options, tests) {
+    const previous = this._tail;
+
+    const request = this._slot().then(async () => {
+      if (options && options.signal && options.signal.aborted) return { patch: patch, error: new AbortError() };
+
+      if (this._queue) {
+        await this._queue_loaded;
+        if (this._queue.length > 0) return { queued: true };
+      }
+
+      return this._patch(patch, options, tests);
+    });
+
+    const done = previous
+      .then(() => request)
+      .then(result => {
+        if (result.queued) return this._enqueue(patch, tests);
+
+        if (result.error) {
+          if (this._queue && this._queue_when(result.error)) return this._enqueue(result.patch, tests);
+
+          this._reject(result.patch, result.error, this._optimistic, parts);
+          throw result.error;
+        }
+
+        this._acknowledge(result.patch, result.server_patch, !this._optimistic);
+      })
+      .finally(() => this._release());
+
+    this._tail = done.catch(() => {});
+    return done;
+  }
+
+  /**
+   * Send a patch through the transport, resyncing and sending it again while the server refuses it as stale.
+   *
+   * A 409 Conflict for a patch containing `test` operations is taken to mean one of them failed, and
+   * becomes a `PreconditionError`.
+   *
+   * @param {Object[]} patch The JSON Patch to send.
+   * @param {Object} [options] Handed to the transport.
+   * @param {Object[]} [tests] The preconditions, sent as `test` operations ahead of the patch.
+   * @returns {Promise<Object>} `{ patch, server_patch }` on success or `{ patch, error }`, `patch` being what was sent last.
+   */
+  async _patch(patch, options, tests) {
+    tests = tests || [];
+
+    for (let retries = 0; ; retries++) {
+      let wire;
+      try {
+        wire = this._wire(patch, tests, options);
+      } catch (error) {
+        return { patch: patch, error: error };
+      }
+
+      try {
+        const response = await this.transport.patch(wire.body, wire.options);
+        return { patch: patch, server_patch: wire.read(response) };
+      } catch (error) {
+        const sent_tests = Array.isArray(wire.body) ? wire.body.filter(op => op.op === "test") : [];
+        if (error && error.status === 409 && sent_tests.length > 0) {
+          return { patch: patch, error: new PreconditionError(sent_tests, error) };
+        }
+        if (!error || error.name !== "ConflictError" || retries >= this._conflict_retries) {
+          return { patch: patch, error: error };
+        }
+
+        try {
+          patch = await this._resync(patch, options);
+        } catch (e) {
+          return { patch: patch, error: error };
+        }
+
+        const failed = failing(tests, this._server);
+        if (failed.length > 0) return { patch: patch, error: new PreconditionError(failed, error) };
+
+        // the server side changes won over everything in the patch, there is nothing left to send
+        if (patch.length === 0) return { patch: patch, server_patch: [] };
+      }
+    }
+  }
+
+  /**
+   * Work out what goes over the wire for a patch, in the configured format.
+   *
+   * A JSON Patch is sent as is, after the preconditions. A merge patch is worked out from the last known
+   * server state, so it is exact as long as one PATCH is in flight at a time (the default `max_in_flight`).
+   * It can't carry preconditions or guards, any array that changed is sent whole, and a value can't be set
+   * to `null` since that means "remove" in a merge patch. The server is expected to answer with a merge
+   * patch of whatever it changed on top, or nothing.
+   *
+   * @param {Object[]} patch The JSON Patch.
+   * @param {Object[]} tests The preconditions.
+   * @param {Object} [options] Handed to the transport.
+   * @returns {Object} `{ body, options, read }`, `read` turning the response into the server's JSON Patch.
+   * @throws {PatchError} If the patch can't be expressed as a merge patch.
+   */
+  _wire(patch, tests, options) {
+    if (this._format === mergePatch.JSON_PATCH) {
+      const body = tests.concat(this._guard ? patch : unguarded(patch));
+      return { body: body, options: options, read: response => response || [] };
+    }
+
+    const after = settle(patch, this._server);
+    return {
+      body: mergePatch.diff(this._server, after),
+      options: Object.assign({}, options, { format: mergePatch.MERGE_PATCH }),
+      read: response => {
+        if (response === undefined || response === null) return [];
+        return Patcher.diff(after, mergePatch.apply(response, after), { invertible: false });
+      },
+    };
+  }
+
+  /**
+   * Fetch the object after the server refused a patch as stale, and work out what is left of the patch.
+   *
+   * @param {Object[]} patch The refused JSON Patch.
+   * @param {Object} [options] Handed to the transport.
+   * @returns {Promise<Object[]>} The patch to send instead.
+   */
+  async _resync(patch, options) {
+    const old_server = this._server;
+    const server_object = await this.transport.get(options);
+
+    const applied = this._incoming(server_object);
+    if (applied.length > 0) this.notify("remote:change", this._object, applied);
+
+    let moved = patch.filter(op => op.op !== "test");
+    try {
+      moved = Patcher.rebase([Patcher.diff(old_server, this._server)], moved);
+    } catch (e) {
+      // the operations don't commute, leave them where they are
+    }
+    if (!this._optimistic) return moved;
+
+    // the merge already settled conflicts in the local object, send its version of the touched values
+    return Patcher.diff(this._server, this._object).filter(op => clashes(op, moved).length > 0);
+  }
+
+  /**
+   * Wait for a free spot in the send pipeline, spots are handed out in the order they were asked for.
+   */
+  _slot() {
+    if (this._in_flight < this._max_in_flight) {
+      this._in_flight++;
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => this._waiting.push(resolve));
+  }
+
+  _release() {
+    const next = this._waiting.shift();
+    if (next) {
+      next();
     } else {
-      return this._history[this._history.length - reverse_index + 1];
+      this._in_flight--;
+    }
+  }
+
+  _acknowledge(patch, server_patch, apply) {
+    if (apply) {
+      const before = this._object;
+      try {
+        this._object = Patcher.apply(patch, this._object);
+        this._commit(patch, LOCAL);
+      } catch (error) {
+        // a change from the server came in while the patch was in flight, the server accepted the patch regardless
+        this._object = settle(patch, this._object);
+        this._commit(Patcher.diff(before, this._object), LOCAL);
+      }
     }
+    this._remember(patch);
+    this._server = settle(server_patch, settle(patch, this._server));
+
+    const old_object = this._object;
+    let failure = null;
+    try {
+      this._object = Patcher.apply(server_patch, this._object);
+    } catch (error) {
+      // the local object moved on while the patch was in flight
+      failure = error;
+      this._object = settle(server_patch, this._object);
+    }
+    this._remote(old_object, this._object);
+    this._commit(failure ? Patcher.diff(old_object, this._object) : server_patch, REMOTE);
+    if (failure) this.notify("remote:error", { patch: server_patch, error: failure });
+    this._verify(server_patch);
+
+    this.notify("patch:end", this._object, patch.concat(server_patch));
+  }
+
+  /**
+   * Deal with a patch the server refused, rolling it back out of the internal object if it was applied.
+   */
+  _reject(patch, error, rollback, parts) {
+    (parts || [patch]).forEach(part => this._forget(part));
+
+    let rolled_back = true;
+    if (rollback) {
+      try {
+        const inverse = Patcher.inverse(patch);
+        this._object = Patcher.apply(inverse, this._object);
+        this._commit(inverse, ROLLBACK);
+      } catch (e) {
+        // something changed the same values since, the test operations in the inverse refused to apply
+        rolled_back = false;
+      }
+    }
+
+    this.notify("patch:error", { patch: patch, error: error, object: this._object, rolled_back: rolled_back });
+  }
+
+  /**
+   * How many patches are waiting to be sent in offline mode.
+   * @returns {Number} The number of queued patches.
+   */
+  pending() {
+    return this._queue ? this._queue.length : 0;
+  }
+
+  /**
+   * Try to send the queued patches now, oldest first.
+   *
+   * This happens on its own every `queue_retry` ms and when the browser comes back online,
+   * so it only needs to be called to retry sooner.
+   *
+   * @returns {Promise<Number>} Resolves with the number of patches still queued.
+   */
+  replay() {
+    if (!this._queue) return Promise.resolve(0);
+
+    if (!this._replaying) {
+      this._replaying = this._replay().finally(() => {
+        this._replaying = null;
+      });
+    }
+
+    return this._replaying;
+  }
+
+  async _replay() {
+    await this._queue_loaded;
+    if (this._queue.length === 0) return 0;
+
+    clearTimeout(this._queue_timer);
+    this._queue_timer = null;
+    this.notify("queue:start", { pending: this._queue.length });
+
+    while (this._queue.length > 0) {
+      const result = await this._patch(this._queue.peek());
+      const patch = result.patch;
+      const error = result.error;
+
+      if (error) {
+        if (this._queue_when(error)) {
+          this.notify("queue:error", { pending: this._queue.length, error: error, dropped: false });
+          this._retry();
+          return this._queue.length;
+        }
+
+        // the server refused it, holding on to it would block everything queued after it
+        const dropped = this._shift();
+        this.notify("queue:error", { pending: this._queue.length, error: error, dropped: true });
+        this._reject(patch, error, true);
+        await dropped;
+        continue;
+      }
+
+      // the server has it, it is acknowledged whether or not taking it off the stored queue works
+      const sent = this._shift();
+      this.notify("queue:remove", { pending: this._queue.length });
+      this._acknowledge(patch, result.server_patch);
+      await sent;
+    }
+
+    this._offline(false);
+    this.notify("queue:end", { pending: 0 });
+    return 0;
+  }
+
+  async _enqueue(patch, tests) {
+    // offline edits have to show up locally, there is no telling when the server will see them
+    if (!this._optimistic) {
+      this._object = Patcher.apply(patch, this._object);
+      this._commit(patch, LOCAL);
+    }
+
+    // it goes into the history once the server acknowledges it, like any other patch
+    await this._queue.push(tests && tests.length > 0 ? tests.concat(patch) : patch);
+    this.notify("queue:add", { pending: this._queue.length });
+    this._retry();
+  }
+
+  // the queued patch is taken off in memory right away, a failed write only leaves it in the stored queue
+  async _shift() {
+    try {
+      await this._queue.shift();
+    } catch (error) {
+      this.notify("queue:error", { pending: this._queue.length, error: error, dropped: false });
+    }
+  }
+
+  // replays nobody waits on report their failures as events
+  _background() {
+    this.replay().catch(error =>
+      this.notify("queue:error", { pending: this.pending(), error: error, dropped: false })
+    );
+  }
+
+  _retry() {
+    this._offline(true);
+    if (this._queue_timer) return;
+
+    this._queue_timer = setTimeout(() => {
+      this._queue_timer = null;
+      this._background();
+    }, this._queue_retry);
+  }
+
+  _offline(offline) {
+    if (typeof window === "undefined" || !window.addEventListener) return;
+
+    if (offline && !this._on_online) {
+      this._on_online = () => this._background();
+      window.addEventListener("online", this._on_online);
+    } else if (!offline && this._on_online) {
+      window.removeEventListener("online", this._on_online);
+      this._on_online = null;
+    }
+  }
+
+  /**
+   * Apply the queued patches on top of an object, skipping any that no longer apply.
+   *
+   * @returns {Object} `{ object, patch }`, the patched object and the operations of the patches that applied.
+   */
+  _pending(obj) {
+    const patches = this._queue.patches();
+    let applied = [];
+    for (let index = 0; index < patches.length; index++) {
+      try {
+        obj = Patcher.apply(patches[index], obj);
+        applied = applied.concat(patches[index]);
+      } catch (e) {
+        // the test operations failed, the object changed underneath this patch
+      }
+    }
+
+    return { object: obj, patch: applied };
+  }
+
+  _undoable(patch) {
+    if (patch.length === 0) return;
+    this._push(this._undo, patch);
+    this._redo = [];
+  }
+
+  _forget(patch) {
+    this._undo = this._undo.filter(entry => entry.patch !== patch);
+    this._redo = this._redo.filter(entry => entry.patch !== patch);
+  }
+
+  _push(stack, patch) {
+    stack.push({ patch: patch, remote: [] });
+    if (stack.length > this._undo_depth) stack.shift();
+  }
+
+  /**
+   * Keep track of changes that did not come from this instance so undo and redo can be rebased around them.
+   *
+   * The change is recorded as a diff, rather than the patch the server sent, so it is always invertible.
+   */
+  _remote(old_object, new_object) {
+    if (this._undo.length === 0 && this._redo.length === 0) return;
+
+    const patch = Patcher.diff(old_object, new_object);
+    if (patch.length === 0) return;
+
+    for (let index = 0; index < this._undo.length; index++) this._undo[index].remote.push(patch);
+    for (let index = 0; index < this._redo.length; index++) this._redo[index].remote.push(patch);
+  }
+
+  // the local history is kept as deep as the versions are
+  _remember(patch) {
+    if (patch.length === 0) return;
+
+    this._history.push(patch);
+    if (this._history.length > this.versions.depth) this._history.shift();
+  }
+
+  /**
+   * The history of changes made to this object durring the lifetime of this instance.
+   *
+   * Only local changes are listed here, `versions` keeps every change with its version, time and origin. Only
+   * the most recent `config.history_depth` changes are kept.
+   * @param {Number} [reverse_index] The 0 based reverse index from the end of the array towards the beginning, defaults to 0, the most recent change.
+   * @returns {JSONPatch} A JSON Patch formatted array, or null if there is no change at that index.
+   */
+  history(reverse_index) {
+    const index = this._history.length - 1 - (reverse_index || 0);
+    if (index < 0 || index >= this._history.length) return null;
+
+    return this._history[index];
   }
 
   /**
@@ -306,14 +1423,76 @@ export default class PatchedSync {
   }
 }
 
-const makeid = length => {
-  var result = "";
-  var characters = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
-  var charactersLength = characters.length;
-  for (var i = 0; i < length; i++) {
-    result += characters.charAt(Math.floor(Math.random() * charactersLength));
+/**
+ * Copy event data so listeners can't change the internal object.
+ *
+ * Unlike `Patcher.clone` errors and other class instances, such as a fetch `Response`, are passed through as is.
+ */
+const cloneEvent = data => {
+  if (data === null || typeof data !== "object") return data;
+  if (Array.isArray(data)) return data.map(cloneEvent);
+  if (Object.getPrototypeOf(data) !== Object.prototype) return data;
+
+  const copy = {};
+  const keys = Object.keys(data);
+  for (let index = 0; index < keys.length; index++) {
+    copy[keys[index]] = cloneEvent(data[keys[index]]);
   }
-  return result;
+  return copy;
 };
 
+/**
+ * The default test for offline mode, a patch is queued on network failures and server errors
+ * but not when the server refused it.
+ */
+const isOffline = error => {
+  // a cancelled request was given up on, there is nothing to retry later
+  if (error && error.name === "AbortError") return false;
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return true;
+
+  if (error && typeof error.status === "number") return error.status === 0 || error.status >= 500;
+  // fetch throws a TypeError and the websocket transport an Error when the server can't be reached
+  if (error instanceof Error) return true;
+
+  return false;
+};
+
+/**
+ * Turn the `expect` option of a change into `test` operations.
+ */
+const preconditions = options => {
+  const expect = (options && options.expect) || {};
+  return Object.keys(expect).map(path => {
+    pointer.parse(path);
+    return { op: "test", path: path, value: expect[path] };
+  });
+};
+
+/**
+ * Find the `test` operations that don't hold for a subject.
+ */
+const failing = (tests, subject) =>
+  tests.filter(test => {
+    try {
+      Patcher.apply([test], subject);
+      return false;
+    } catch (e) {
+      return true;
+    }
+  });
+
+/**
+ * Drop the `test` operations `Patcher.diff` puts ahead of every replace and remove.
+ */
+const unguarded = patch =>
+  patch.filter((op, index) => {
+    const next = patch[index + 1];
+    return !(op.op === "test" && next && (next.op === "replace" || next.op === "remove") && next.path === op.path);
+  });
+
+/**
+ * Pick the per request options handed to the transport.
+ */
+const requestOptions = options => (options && options.signal ? { signal: options.signal } : undefined);
+
 PatchedSync.DELETE = "$$__&&__DELETE_$_&_$";
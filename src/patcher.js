@@ -1,10 +1,472 @@
 /**
- * Utility for two way patching of an object
+ * Utility for two way patching of an object, a JSON Patch (RFC 6902) engine.
  *
  * @author Joe Mills
  * @module patcher
  */
 
+import jiffRebase from "jiff/lib/rebase";
+import { PatchError } from "./errors";
+import * as pointer from "./pointer";
+
+const OPERATIONS = ["add", "remove", "replace", "move", "copy", "test"];
+
+/**
+ * Applies, diffs, inverts, composes and validates JSON Patches.
+ *
+ * Patches are applied with strict RFC 6902 semantics and all or nothing, the document passed in is
+ * never modified. When something goes wrong a `PatchError` says which operation failed, at which JSON
+ * Pointer, and why.
+ *
+ * Patches made by `diff` put a `test` operation ahead of every `replace` and `remove`, recording the
+ * value being overwritten, which is what makes them invertible.
+ */
 export default class Patcher {
-  //
-}
\ No newline at end of file
+  /**
+   * Apply a JSON Patch.
+   *
+   * @param {Object[]} patch The JSON Patch.
+   * @param {*} document The document to apply it to, it is not modified.
+   * @returns {*} The patched copy of the document.
+   * @throws {PatchError} If the patch is malformed or an operation can't be applied.
+   */
+  static apply(patch, document) {
+    Patcher.validate(patch);
+
+    let subject = Patcher.clone(document);
+    for (let index = 0; index < patch.length; index++) {
+      subject = applyOperation(subject, patch[index], index);
+    }
+    return subject;
+  }
+
+  /**
+   * Work out the JSON Patch that turns one document into another.
+   *
+   * Arrays are compared element by element, elements that aren't equal are removed and added rather
+   * than patched in place since their positions can't be trusted.
+   *
+   * @param {*} a The document before.
+   * @param {*} b The document after.
+   * @param {Object} [options]
+   * @param {Boolean} [options.invertible] Put a `test` ahead of every `replace` and `remove`, defaults to true.
+   * @returns {Object[]} The JSON Patch.
+   */
+  static diff(a, b, options) {
+    const patch = [];
+    changes(a, b, "", patch, !(options && options.invertible === false));
+    return patch;
+  }
+
+  /**
+   * Work out the JSON Patch that undoes a patch.
+   *
+   * Every `replace` and `remove` must be preceded by a `test` of the value it overwrites, as `diff` does.
+   *
+   * @param {Object[]} patch The JSON Patch to invert.
+   * @returns {Object[]} The inverse JSON Patch.
+   * @throws {PatchError} If an operation can't be inverted.
+   */
+  static inverse(patch) {
+    Patcher.validate(patch);
+
+    const inverse = [];
+    for (let index = patch.length - 1; index >= 0; index--) {
+      const op = patch[index];
+      const previous = patch[index - 1];
+      const tested = previous && previous.op === "test" && previous.path === op.path ? previous : null;
+
+      switch (op.op) {
+        case "add":
+          if (isLast(op.path)) throw notInvertible(op, index, "an add to the end of an array");
+          inverse.push({ op: "test", path: op.path, value: Patcher.clone(op.value) }, { op: "remove", path: op.path });
+          break;
+
+        case "remove":
+          if (!tested) throw notInvertible(op, index, "a remove without a test of the removed value");
+          inverse.push({ op: "add", path: op.path, value: Patcher.clone(tested.value) });
+          index--;
+          break;
+
+        case "replace":
+          if (!tested) throw notInvertible(op, index, "a replace without a test of the replaced value");
+          inverse.push(
+            { op: "test", path: op.path, value: Patcher.clone(op.value) },
+            { op: "replace", path: op.path, value: Patcher.clone(tested.value) }
+          );
+          index--;
+          break;
+
+        case "move":
+          inverse.push({ op: "move", from: op.path, path: op.from });
+          break;
+
+        case "copy":
+          inverse.push({ op: "remove", path: op.path });
+          break;
+
+        case "test":
+          inverse.push({ op: "test", path: op.path, value: Patcher.clone(op.value) });
+          break;
+      }
+    }
+
+    return inverse;
+  }
+
+  /**
+   * Combine patches into one that has the same effect as applying them in order.
+   *
+   * Later operations on a location that nothing else touched in between are folded into the earlier
+   * ones, and `test` operations checking a value the patch itself just set are dropped.
+   *
+   * @param {Object[][]} patches The JSON Patches, oldest first.
+   * @returns {Object[]} The combined JSON Patch.
+   */
+  static compose(patches) {
+    const composed = [];
+
+    for (let p = 0; p < patches.length; p++) {
+      Patcher.validate(patches[p]);
+      for (let index = 0; index < patches[p].length; index++) {
+        fold(composed, Patcher.clone(patches[p][index]));
+      }
+    }
+
+    return composed;
+  }
+
+  /**
+   * Move a patch past other patches made to the same document, so it can be applied after them.
+   *
+   * Array indexes and paths are shifted for what the earlier patches added, removed or moved. The
+   * earlier patches have to be invertible, made by `diff` for one.
+   *
+   * @param {Object[][]} history The JSON Patches applied first, oldest first.
+   * @param {Object[]} patch The JSON Patch made against the same document as the first of them.
+   * @returns {Object[]} The JSON Patch to apply after them.
+   * @throws {PatchError} If a patch is malformed, or the patch can't be moved past the others.
+   */
+  static rebase(history, patch) {
+    history.forEach(Patcher.validate);
+    Patcher.validate(patch);
+
+    try {
+      return jiffRebase(history, Patcher.clone(patch));
+    } catch (error) {
+      throw new PatchError(`Can't rebase the patch: ${error.message}`, { reason: "not-commutable" });
+    }
+  }
+
+  /**
+   * Check that a JSON Patch is well formed.
+   *
+   * @param {Object[]} patch The JSON Patch.
+   * @returns {Boolean} True, anything malformed throws instead.
+   * @throws {PatchError} Describing the first malformed operation.
+   */
+  static validate(patch) {
+    if (!Array.isArray(patch)) throw new PatchError("A JSON Patch must be an array.", { reason: "invalid" });
+
+    for (let index = 0; index < patch.length; index++) {
+      const op = patch[index];
+      const details = { reason: "invalid", index: index, operation: op };
+
+      if (!op || typeof op !== "object") throw new PatchError("The operation is not an object.", details);
+      if (OPERATIONS.indexOf(op.op) === -1) throw new PatchError(`Unknown operation "${op.op}".`, details);
+      if (!isPointer(op.path)) {
+        throw new PatchError(`Invalid path "${op.path}".`, Object.assign(details, { pointer: op.path }));
+      }
+
+      if (op.op === "move" || op.op === "copy") {
+        if (!isPointer(op.from)) {
+          throw new PatchError(`Invalid from "${op.from}".`, Object.assign(details, { pointer: op.from }));
+        }
+        if (op.op === "move" && op.path.indexOf(op.from + "/") === 0) {
+          throw new PatchError("A value can't be moved into itself.", Object.assign(details, { pointer: op.path }));
+        }
+      }
+
+      if ((op.op === "add" || op.op === "replace" || op.op === "test") && !("value" in op)) {
+        throw new PatchError(`A ${op.op} operation needs a value.`, Object.assign(details, { pointer: op.path }));
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Deep copy a JSON value.
+   *
+   * @param {*} value The value.
+   * @returns {*} The copy.
+   */
+  static clone(value) {
+    if (value === null || typeof value !== "object") return value;
+    if (Array.isArray(value)) return value.map(Patcher.clone);
+
+    const copy = {};
+    const keys = Object.keys(value);
+    for (let index = 0; index < keys.length; index++) {
+      copy[keys[index]] = Patcher.clone(value[keys[index]]);
+    }
+    return copy;
+  }
+
+  /**
+   * Compare two JSON values the way a `test` operation does.
+   *
+   * @param {*} a A value.
+   * @param {*} b Another value.
+   * @returns {Boolean} True if they are structurally equal.
+   */
+  static equal(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null || typeof a !== "object" || typeof b !== "object") return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    for (let index = 0; index < keys.length; index++) {
+      if (!Object.prototype.hasOwnProperty.call(b, keys[index])) return false;
+      if (!Patcher.equal(a[keys[index]], b[keys[index]])) return false;
+    }
+    return true;
+  }
+}
+
+const isPointer = path => typeof path === "string" && (path === "" || path.charAt(0) === "/");
+
+const isIndex = token => /^(0|[1-9][0-9]*)$/.test(token);
+
+const isContainer = value => value !== null && typeof value === "object";
+
+const isLast = path => path.slice(path.lastIndexOf("/") + 1) === "-";
+
+const notInvertible = (op, index, what) =>
+  new PatchError(`Can't invert ${what}.`, { reason: "not-invertible", index: index, operation: op, pointer: op.path });
+
+const applyOperation = (document, op, index) => {
+  const fail = (message, reason, at) =>
+    new PatchError(message, { reason: reason, index: index, operation: op, pointer: at });
+  const outside = at => fail(`"${at}" is inside a value that is not an object or array.`, "not-container", at);
+
+  // find the container holding the last token of a path, every step on the way has to exist
+  const locate = path => {
+    const tokens = pointer.parse(path);
+    let parent = document;
+    for (let t = 0; t < tokens.length - 1; t++) {
+      const at = pointer.compile(tokens.slice(0, t + 1));
+      if (!isContainer(parent)) throw outside(at);
+      if (!has(parent, tokens[t])) throw fail(`Nothing exists at "${at}".`, "not-found", at);
+      parent = parent[tokens[t]];
+    }
+
+    if (!isContainer(parent)) throw outside(path);
+    return { parent: parent, key: tokens[tokens.length - 1] };
+  };
+
+  const get = path => {
+    if (path === "") return document;
+
+    const target = locate(path);
+    if (!has(target.parent, target.key)) throw fail(`Nothing exists at "${path}".`, "not-found", path);
+    return target.parent[target.key];
+  };
+
+  const add = (path, value) => {
+    if (path === "") {
+      document = value;
+      return;
+    }
+
+    const target = locate(path);
+    if (!Array.isArray(target.parent)) {
+      target.parent[target.key] = value;
+    } else if (target.key === "-") {
+      target.parent.push(value);
+    } else {
+      if (!isIndex(target.key) || Number(target.key) > target.parent.length) {
+        throw fail(`"${target.key}" is not a position in the array at "${path}".`, "bad-index", path);
+      }
+      target.parent.splice(Number(target.key), 0, value);
+    }
+  };
+
+  const remove = path => {
+    if (path === "") throw fail("The whole document can't be removed.", "invalid", path);
+
+    const target = locate(path);
+    if (!has(target.parent, target.key)) throw fail(`Nothing exists at "${path}".`, "not-found", path);
+
+    if (Array.isArray(target.parent)) {
+      target.parent.splice(Number(target.key), 1);
+    } else {
+      delete target.parent[target.key];
+    }
+  };
+
+  switch (op.op) {
+    case "add":
+      add(op.path, Patcher.clone(op.value));
+      break;
+
+    case "remove":
+      remove(op.path);
+      break;
+
+    case "replace":
+      get(op.path);
+      if (op.path === "") return Patcher.clone(op.value);
+      locate(op.path).parent[pointer.parse(op.path).pop()] = Patcher.clone(op.value);
+      break;
+
+    case "move": {
+      if (op.from === op.path) {
+        get(op.from);
+        break;
+      }
+      const value = get(op.from);
+      remove(op.from);
+      add(op.path, value);
+      break;
+    }
+
+    case "copy":
+      add(op.path, Patcher.clone(get(op.from)));
+      break;
+
+    case "test":
+      if (!Patcher.equal(get(op.path), op.value)) {
+        throw fail(`The value at "${op.path}" is not ${JSON.stringify(op.value)}.`, "test-failed", op.path);
+      }
+      break;
+  }
+
+  return document;
+};
+
+const has = (container, token) => {
+  if (Array.isArray(container)) return isIndex(token) && Number(token) < container.length;
+  return Object.prototype.hasOwnProperty.call(container, token);
+};
+
+const changes = (a, b, path, patch, invertible) => {
+  if (Array.isArray(a) && Array.isArray(b)) return arrayChanges(a, b, path, patch, invertible);
+  if (isContainer(a) && isContainer(b) && !Array.isArray(a) && !Array.isArray(b)) {
+    return objectChanges(a, b, path, patch, invertible);
+  }
+
+  if (!Patcher.equal(a, b)) {
+    if (invertible) patch.push({ op: "test", path: path, value: Patcher.clone(a) });
+    patch.push({ op: "replace", path: path, value: Patcher.clone(b) });
+  }
+};
+
+const objectChanges = (a, b, path, patch, invertible) => {
+  let keys = Object.keys(b);
+  for (let index = keys.length - 1; index >= 0; index--) {
+    const key = keys[index];
+    const key_path = path + pointer.compile([key]);
+    if (present(a, key)) {
+      changes(a[key], b[key], key_path, patch, invertible);
+    } else if (present(b, key)) {
+      patch.push({ op: "add", path: key_path, value: Patcher.clone(b[key]) });
+    }
+  }
+
+  keys = Object.keys(a);
+  for (let index = keys.length - 1; index >= 0; index--) {
+    const key = keys[index];
+    if (!present(b, key) && present(a, key)) {
+      const key_path = path + pointer.compile([key]);
+      if (invertible) patch.push({ op: "test", path: key_path, value: Patcher.clone(a[key]) });
+      patch.push({ op: "remove", path: key_path });
+    }
+  }
+};
+
+// only own members count, "constructor" or "toString" are on every object through its prototype
+const present = (object, key) => Object.prototype.hasOwnProperty.call(object, key) && object[key] !== undefined;
+
+const arrayChanges = (a, b, path, patch, invertible) => {
+  const a_hash = a.map(item => JSON.stringify(item));
+  const b_hash = b.map(item => JSON.stringify(item));
+
+  // the longest common subsequence of what's left once the shared start and end are taken off
+  let start = 0;
+  while (start < a.length && start < b.length && a_hash[start] === b_hash[start]) start++;
+  let end = 0;
+  const shared = Math.min(a.length, b.length) - start;
+  while (end < shared && a_hash[a.length - 1 - end] === b_hash[b.length - 1 - end]) end++;
+
+  const n = a.length - start - end;
+  const m = b.length - start - end;
+  const lengths = [];
+  for (let i = n; i >= 0; i--) {
+    lengths[i] = [];
+    for (let j = m; j >= 0; j--) {
+      if (i === n || j === m) {
+        lengths[i][j] = 0;
+      } else if (a_hash[start + i] === b_hash[start + j]) {
+        lengths[i][j] = lengths[i + 1][j + 1] + 1;
+      } else {
+        lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+  }
+
+  // walk both arrays, the position is where the next element of b ends up
+  let i = 0;
+  let j = 0;
+  let position = start;
+  while (i < n || j < m) {
+    if (i < n && j < m && a_hash[start + i] === b_hash[start + j]) {
+      i++;
+      j++;
+      position++;
+    } else if (j < m && (i === n || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      patch.push({ op: "add", path: path + "/" + position, value: Patcher.clone(b[start + j]) });
+      j++;
+      position++;
+    } else {
+      if (invertible) patch.push({ op: "test", path: path + "/" + position, value: Patcher.clone(a[start + i]) });
+      patch.push({ op: "remove", path: path + "/" + position });
+      i++;
+    }
+  }
+};
+
+const touches = (op, path) => {
+  if (pointer.overlaps(op.path, path) || (op.from !== undefined && pointer.overlaps(op.from, path))) return true;
+
+  // adding or removing an array element moves its siblings
+  const parent = path.slice(0, path.lastIndexOf("/"));
+  const paths = op.from !== undefined ? [op.path, op.from] : [op.path];
+  return paths.some(other => {
+    const last = other.slice(other.lastIndexOf("/") + 1);
+    return other.slice(0, other.lastIndexOf("/")) === parent && (isIndex(last) || last === "-");
+  });
+};
+
+const fold = (composed, op) => {
+  for (let index = composed.length - 1; index >= 0; index--) {
+    const previous = composed[index];
+
+    if (previous.path === op.path && (previous.op === "add" || previous.op === "replace")) {
+      if (op.op === "replace") {
+        previous.value = op.value;
+        return;
+      }
+      if (op.op === "test" && Patcher.equal(previous.value, op.value)) return;
+      if (op.op === "remove" && previous.op === "replace") {
+        composed[index] = op;
+        return;
+      }
+    }
+
+    if (touches(previous, op.path) || (op.from !== undefined && touches(previous, op.from))) break;
+  }
+
+  composed.push(op);
+};
@@ -0,0 +1,154 @@
+/**
+ * JSON Pointer (RFC 6901) helpers, including the wildcard matching used to filter listeners.
+ *
+ * @author Joe Mills
+ * @module pointer
+ */
+
+/**
+ * Split a JSON Pointer into its unescaped reference tokens.
+ *
+ * @param {String} pointer The JSON Pointer, e.g. `/items/0/status`. An empty string refers to the whole document.
+ * @returns {String[]} The reference tokens.
+ */
+export const parse = pointer => {
+  if (pointer === "") return [];
+  if (typeof pointer !== "string" || pointer.charAt(0) !== "/") {
+    throw new Error(`Invalid JSON Pointer "${pointer}", it must be empty or start with "/".`);
+  }
+
+  return pointer
+    .substring(1)
+    .split("/")
+    .map(token => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+};
+
+/**
+ * Join reference tokens back into a JSON Pointer.
+ *
+ * @param {String[]} tokens The reference tokens.
+ * @returns {String} The JSON Pointer.
+ */
+export const compile = tokens => {
+  let pointer = "";
+  for (let index = 0; index < tokens.length; index++) {
+    pointer += "/" + String(tokens[index]).replace(/~/g, "~0").replace(/\//g, "~1");
+  }
+  return pointer;
+};
+
+/**
+ * Find the value a set of reference tokens points to.
+ *
+ * @param {*} subject The document to look in.
+ * @param {String[]} tokens The reference tokens.
+ * @returns {*} The value, or `undefined` if nothing exists at that location.
+ */
+export const resolve = (subject, tokens) => {
+  for (let index = 0; index < tokens.length; index++) {
+    if (subject === null || typeof subject !== "object") return undefined;
+    if (!Object.prototype.hasOwnProperty.call(subject, tokens[index])) return undefined;
+    subject = subject[tokens[index]];
+  }
+  return subject;
+};
+
+/**
+ * Check if two JSON Pointers refer to the same location, or one is inside the other.
+ *
+ * @param {String} a A JSON Pointer.
+ * @param {String} b Another JSON Pointer.
+ * @returns {Boolean} True if a change at one of them affects the other.
+ */
+export const overlaps = (a, b) => {
+  const a_tokens = parse(a);
+  const b_tokens = parse(b);
+  const length = Math.min(a_tokens.length, b_tokens.length);
+
+  for (let index = 0; index < length; index++) {
+    if (a_tokens[index] !== b_tokens[index]) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Work out which concrete locations matching a pattern were touched by a patch.
+ *
+ * The pattern is a list of reference tokens in which `*` matches any single token. An operation
+ * touches a location when its path (or the `from` of a `move`) is the location itself, inside it,
+ * or one of its ancestors. When an ancestor is touched the remaining wildcards are expanded
+ * against `subject`, the document after the patch was applied. `test` operations change nothing
+ * and never match.
+ *
+ * @param {String[]} pattern The reference tokens to match, possibly containing `*`.
+ * @param {Object[]} patch The JSON Patch to check.
+ * @param {*} subject The document after the patch was applied.
+ * @returns {Object[]} A list of `{ pointer, tokens, ops }`, one per touched location, in the order first touched.
+ */
+export const match = (pattern, patch, subject) => {
+  const matches = [];
+  const by_pointer = {};
+
+  const add = (tokens, op) => {
+    const pointer = compile(tokens);
+    if (!by_pointer[pointer]) {
+      by_pointer[pointer] = { pointer, tokens, ops: [] };
+      matches.push(by_pointer[pointer]);
+    }
+    if (by_pointer[pointer].ops.indexOf(op) === -1) by_pointer[pointer].ops.push(op);
+  };
+
+  for (let index = 0; index < patch.length; index++) {
+    const op = patch[index];
+    if (op.op === "test") continue;
+
+    const paths = op.op === "move" ? [op.path, op.from] : [op.path];
+    for (let p = 0; p < paths.length; p++) {
+      const tokens = parse(paths[p]);
+      const length = Math.min(tokens.length, pattern.length);
+
+      let prefix_matches = true;
+      for (let t = 0; t < length; t++) {
+        if (pattern[t] !== "*" && pattern[t] !== tokens[t]) {
+          prefix_matches = false;
+          break;
+        }
+      }
+      if (!prefix_matches) continue;
+
+      if (tokens.length >= pattern.length) {
+        add(tokens.slice(0, pattern.length), op);
+      } else {
+        const expanded = expand(resolve(subject, tokens), pattern.slice(tokens.length));
+        for (let e = 0; e < expanded.length; e++) {
+          add(tokens.concat(expanded[e]), op);
+        }
+      }
+    }
+  }
+
+  return matches;
+};
+
+const expand = (subject, pattern) => {
+  if (pattern.length === 0) return [[]];
+
+  const token = pattern[0];
+  const rest = pattern.slice(1);
+
+  if (token !== "*") {
+    const child = subject !== null && typeof subject === "object" ? subject[token] : undefined;
+    return expand(child, rest).map(tokens => [token].concat(tokens));
+  }
+
+  if (subject === null || typeof subject !== "object") return [];
+
+  let results = [];
+  const keys = Object.keys(subject);
+  for (let index = 0; index < keys.length; index++) {
+    const key = keys[index];
+    results = results.concat(expand(subject[key], rest).map(tokens => [key].concat(tokens)));
+  }
+  return results;
+};
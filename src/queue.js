@@ -0,0 +1,88 @@
+/**
+ * A durable queue of patches that could not be sent yet.
+ *
+ * @author Joe Mills
+ * @module queue
+ */
+
+/**
+ * Keeps unsent patches in order and mirrors them into a store so they survive a reload.
+ *
+ * A store is any object with an async `read()` that resolves with an array and an async
+ * `write(entries)` that replaces it, see the modules in `stores/`.
+ */
+export default class PatchQueue {
+  /**
+   * Construct a new PatchQueue.
+   * @param {Object} store The store used to persist the queue.
+   */
+  constructor(store) {
+    if (!store || typeof store.read !== "function" || typeof store.write !== "function") {
+      throw new Error("A queue store must provide read() and write() functions.");
+    }
+
+    this.store = store;
+    this._entries = [];
+    this._writing = Promise.resolve();
+  }
+
+  /**
+   * Load the persisted queue, anything already queued in memory is kept after it.
+   * @returns {Promise<Object[][]>} The queued patches.
+   */
+  async load() {
+    const entries = await this.store.read();
+    this._entries = (entries || []).concat(this._entries);
+    return this.patches();
+  }
+
+  /**
+   * @returns {Number} How many patches are waiting to be sent.
+   */
+  get length() {
+    return this._entries.length;
+  }
+
+  /**
+   * @returns {Object[][]} The queued patches, oldest first.
+   */
+  patches() {
+    return this._entries.map(entry => entry.patch);
+  }
+
+  /**
+   * @returns {Object[]} The oldest queued patch, or undefined if the queue is empty.
+   */
+  peek() {
+    return this._entries.length > 0 ? this._entries[0].patch : undefined;
+  }
+
+  /**
+   * Add a patch to the end of the queue.
+   * @param {Object[]} patch The JSON Patch to queue.
+   * @returns {Promise} Resolves once the queue is persisted.
+   */
+  push(patch) {
+    this._entries.push({ patch: patch, queued_at: Date.now() });
+    return this._persist();
+  }
+
+  /**
+   * Remove the oldest patch from the queue.
+   * @returns {Promise} Resolves once the queue is persisted.
+   */
+  shift() {
+    this._entries.shift();
+    return this._persist();
+  }
+
+  _persist() {
+    // writes are chained so an older snapshot can never land after a newer one
+    const entries = this._entries.slice();
+    this._writing = this._writing.then(
+      () => this.store.write(entries),
+      () => this.store.write(entries)
+    );
+    return this._writing;
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * A small JSON Schema validator, covering the keywords forms and documents usually need.
+ *
+ * @author Joe Mills
+ * @module schema
+ */
+
+import Patcher from "./patcher";
+import * as pointer from "./pointer";
+
+const FORMATS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  "date-time": /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uri: /^[A-Za-z][A-Za-z0-9+.-]*:[^\s]*$/,
+};
+
+/**
+ * Make a validator for a JSON Schema.
+ *
+ * Supported are `type`, `enum`, `const`, `properties`, `required`, `additionalProperties`,
+ * `minProperties`, `maxProperties`, `items`, `minItems`, `maxItems`, `uniqueItems`, `minLength`,
+ * `maxLength`, `pattern`, `format` (date, date-time, email and uri), `minimum`, `maximum`,
+ * `exclusiveMinimum`, `exclusiveMaximum`, `multipleOf`, `allOf`, `anyOf`, `oneOf`, `not` and `$ref`
+ * to a location in the same schema. Other keywords are ignored.
+ *
+ * Every violation is reported with the JSON Pointer of the value it is about, a missing required
+ * member with the pointer it should be at:
+ *
+ * ```javascript
+ * const validate = compile({ type: "object", required: ["name"], properties: { age: { minimum: 0 } } });
+ * validate({ age: -1 });
+ * // [{ path: "/name", keyword: "required", message: "is required" },
+ * //  { path: "/age", keyword: "minimum", message: "must be at least 0" }]
+ * ```
+ *
+ * @param {Object|Boolean} schema The JSON Schema.
+ * @returns {Function} Called with a value, returns the list of `{ path, keyword, message }` violations, empty if there are none.
+ */
+export const compile = schema => value => {
+  const errors = [];
+  check(schema, value, "", schema, errors);
+  return errors;
+};
+
+const check = (schema, value, path, root, errors) => {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) return errors.push({ path: path, keyword: "false", message: "is not allowed" });
+
+  if (schema.$ref !== undefined) {
+    if (schema.$ref.charAt(0) !== "#") throw new Error(`Only local references are supported, not "${schema.$ref}".`);
+    const target = pointer.resolve(root, pointer.parse(decodeURIComponent(schema.$ref.substring(1))));
+    if (target === undefined) throw new Error(`The reference "${schema.$ref}" doesn't point to anything.`);
+    return check(target, value, path, root, errors);
+  }
+
+  const fail = (keyword, message, at) =>
+    errors.push({ path: at !== undefined ? at : path, keyword: keyword, message: message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => is(type, value))) return fail("type", `must be ${types.map(article).join(" or ")}`);
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some(option => Patcher.equal(option, value))) {
+    fail("enum", `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(", ")}`);
+  }
+  if (schema.const !== undefined && !Patcher.equal(schema.const, value)) {
+    fail("const", `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") checkString(schema, value, fail);
+  if (typeof value === "number") checkNumber(schema, value, fail);
+  if (Array.isArray(value)) checkArray(schema, value, path, root, errors, fail);
+  if (is("object", value)) checkObject(schema, value, path, root, errors, fail);
+
+  if (schema.allOf) schema.allOf.forEach(sub => check(sub, value, path, root, errors));
+  if (schema.anyOf && !schema.anyOf.some(sub => valid(sub, value, root))) {
+    fail("anyOf", "must match at least one of the allowed schemas");
+  }
+  if (schema.oneOf && schema.oneOf.filter(sub => valid(sub, value, root)).length !== 1) {
+    fail("oneOf", "must match exactly one of the allowed schemas");
+  }
+  if (schema.not !== undefined && valid(schema.not, value, root)) fail("not", "must not match the excluded schema");
+};
+
+const checkString = (schema, value, fail) => {
+  // lengths count code points, not UTF-16 code units
+  const length = Array.from(value).length;
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    fail("minLength", `must be at least ${plural(schema.minLength, "character")} long`);
+  }
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    fail("maxLength", `must be at most ${plural(schema.maxLength, "character")} long`);
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) {
+    fail("pattern", `must match the pattern ${schema.pattern}`);
+  }
+  if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+    fail("format", `must be a valid ${schema.format}`);
+  }
+};
+
+const checkNumber = (schema, value, fail) => {
+  if (schema.minimum !== undefined && value < schema.minimum) fail("minimum", `must be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) fail("maximum", `must be at most ${schema.maximum}`);
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    fail("exclusiveMinimum", `must be more than ${schema.exclusiveMinimum}`);
+  }
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    fail("exclusiveMaximum", `must be less than ${schema.exclusiveMaximum}`);
+  }
+  if (schema.multipleOf !== undefined && !Number.isInteger(Number((value / schema.multipleOf).toPrecision(12)))) {
+    fail("multipleOf", `must be a multiple of ${schema.multipleOf}`);
+  }
+};
+
+const checkArray = (schema, value, path, root, errors, fail) => {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    fail("minItems", `must have at least ${plural(schema.minItems, "item")}`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    fail("maxItems", `must have at most ${plural(schema.maxItems, "item")}`);
+  }
+  if (schema.uniqueItems) {
+    for (let index = 1; index < value.length; index++) {
+      for (let other = 0; other < index; other++) {
+        if (Patcher.equal(value[index], value[other])) {
+          fail("uniqueItems", `must not repeat the item at ${other}`, path + "/" + index);
+          break;
+        }
+      }
+    }
+  }
+
+  if (schema.items !== undefined) {
+    for (let index = 0; index < value.length; index++) {
+      const items = Array.isArray(schema.items) ? schema.items[index] : schema.items;
+      check(items, value[index], path + "/" + index, root, errors);
+    }
+  }
+};
+
+const checkObject = (schema, value, path, root, errors, fail) => {
+  const keys = Object.keys(value);
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    fail("minProperties", `must have at least ${plural(schema.minProperties, "member")}`);
+  }
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    fail("maxProperties", `must have at most ${plural(schema.maxProperties, "member")}`);
+  }
+
+  (schema.required || []).forEach(key => {
+    if (value[key] === undefined) fail("required", "is required", path + pointer.compile([key]));
+  });
+
+  const properties = schema.properties || {};
+  keys.forEach(key => {
+    const key_path = path + pointer.compile([key]);
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      check(properties[key], value[key], key_path, root, errors);
+    } else if (schema.additionalProperties === false) {
+      fail("additionalProperties", "is not allowed", key_path);
+    } else if (typeof schema.additionalProperties === "object") {
+      check(schema.additionalProperties, value[key], key_path, root, errors);
+    }
+  });
+};
+
+const valid = (schema, value, root) => {
+  const errors = [];
+  check(schema, value, "", root, errors);
+  return errors.length === 0;
+};
+
+const is = (type, value) => {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && isFinite(value);
+    default:
+      return typeof value === type;
+  }
+};
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+const article = type => (type === "null" ? "null" : /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`);
@@ -0,0 +1,36 @@
+/**
+ * Immutable snapshots that share whatever didn't change with the snapshot before them.
+ *
+ * @author Joe Mills
+ * @module snapshot
+ */
+
+/**
+ * Make a frozen snapshot of a value, reusing the parts of the previous snapshot that are equal.
+ *
+ * An unchanged object or array in the new value is the very same, already frozen, object or array
+ * as in the previous snapshot, so comparing by reference is enough to tell what changed. If nothing
+ * changed at all the previous snapshot itself is returned.
+ *
+ * @param {*} previous The previous snapshot, if any.
+ * @param {*} next The current value, it is not modified.
+ * @returns {*} The new snapshot.
+ */
+export const share = (previous, next) => {
+  if (next === null || typeof next !== "object") return next;
+
+  const array = Array.isArray(next);
+  const comparable = previous !== null && typeof previous === "object" && Array.isArray(previous) === array;
+  const keys = Object.keys(next);
+  let same = comparable && Object.keys(previous).length === keys.length;
+
+  const snapshot = array ? [] : {};
+  for (let index = 0; index < keys.length; index++) {
+    const key = keys[index];
+    const before = comparable && Object.prototype.hasOwnProperty.call(previous, key) ? previous[key] : undefined;
+    snapshot[key] = share(before, next[key]);
+    if (snapshot[key] !== before) same = false;
+  }
+
+  return same ? previous : Object.freeze(snapshot);
+};
@@ -0,0 +1,87 @@
+/**
+ * A store using IndexedDB.
+ *
+ * @author Joe Mills
+ * @module stores/indexeddb
+ */
+
+/**
+ * A patched-sync store that keeps entries in an IndexedDB object store.
+ *
+ * Every synced object gets a record keyed by `key`, several objects can share one database.
+ */
+export default class IndexedDBStore {
+  /**
+   * Construct a new IndexedDBStore.
+   * @param {String} key The record key to keep the entries under, should be unique per synced object.
+   * @param {String} [db_name] The database name, defaults to "patched-sync".
+   * @param {String} [store_name] The object store name, defaults to "queue".
+   */
+  constructor(key, db_name, store_name) {
+    if (!key) throw new Error("A storage key is required.");
+
+    this.key = key;
+    this.db_name = db_name || "patched-sync";
+    this.store_name = store_name || "queue";
+    this._db = null;
+  }
+
+  /**
+   * Open the database, creating the object store the first time.
+   * @returns {Promise<IDBDatabase>} The open database.
+   */
+  open() {
+    if (this._db) return this._db;
+    if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB is not available in this environment."));
+
+    this._db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.db_name, 1);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.store_name)) {
+          request.result.createObjectStore(this.store_name);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this._db = null;
+        reject(request.error);
+      };
+    });
+
+    return this._db;
+  }
+
+  /**
+   * Read all stored entries.
+   * @returns {Promise<Object[]>} The stored entries.
+   */
+  async read() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(this.store_name, "readonly").objectStore(this.store_name).get(this.key);
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Replace the stored entries.
+   * @param {Object[]} entries The entries to store.
+   */
+  async write(entries) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.store_name, "readwrite");
+      const store = transaction.objectStore(this.store_name);
+      if (entries.length === 0) {
+        store.delete(this.key);
+      } else {
+        store.put(entries, this.key);
+      }
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      // running out of quota aborts the transaction without an error event on it
+      transaction.onabort = () => reject(transaction.error || new Error("Writing the stored entries was aborted."));
+    });
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * A store using localStorage.
+ *
+ * @author Joe Mills
+ * @module stores/local-storage
+ */
+
+/**
+ * A patched-sync store that keeps entries as JSON under a single localStorage key.
+ */
+export default class LocalStorageStore {
+  /**
+   * Construct a new LocalStorageStore.
+   * @param {String} key The localStorage key to keep the entries under, should be unique per synced object.
+   * @param {Storage} [storage] The storage to use, defaults to `window.localStorage`.
+   */
+  constructor(key, storage) {
+    if (!key) throw new Error("A storage key is required.");
+
+    this.key = key;
+    this._storage = storage || (typeof localStorage !== "undefined" ? localStorage : null);
+
+    if (!this._storage) throw new Error("localStorage is not available in this environment.");
+  }
+
+  /**
+   * Read all stored entries.
+   * @returns {Promise<Object[]>} The stored entries.
+   */
+  async read() {
+    const raw = this._storage.getItem(this.key);
+    if (!raw) return [];
+
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Replace the stored entries.
+   * @param {Object[]} entries The entries to store.
+   */
+  async write(entries) {
+    if (entries.length === 0) {
+      this._storage.removeItem(this.key);
+    } else {
+      this._storage.setItem(this.key, JSON.stringify(entries));
+    }
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * A store that keeps everything in memory.
+ *
+ * @author Joe Mills
+ * @module stores/memory
+ */
+
+/**
+ * A patched-sync store that keeps entries in memory, nothing survives a reload.
+ *
+ * Mostly useful for tests, or as a template for writing a store. Every store implements
+ * an async `read` and `write` pair.
+ */
+export default class MemoryStore {
+  /**
+   * Construct a new MemoryStore.
+   * @param {Object[]} [entries] Entries to start with.
+   */
+  constructor(entries) {
+    this._entries = JSON.parse(JSON.stringify(entries || []));
+  }
+
+  /**
+   * Read all stored entries.
+   * @returns {Promise<Object[]>} The stored entries.
+   */
+  async read() {
+    return JSON.parse(JSON.stringify(this._entries));
+  }
+
+  /**
+   * Replace the stored entries.
+   * @param {Object[]} entries The entries to store.
+   */
+  async write(entries) {
+    this._entries = JSON.parse(JSON.stringify(entries));
+  }
+}
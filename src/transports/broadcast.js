@@ -0,0 +1,421 @@
+/**
+ * A transport shared between browser tabs over BroadcastChannel.
+ *
+ * @author Joe Mills
+ * @module transports/broadcast
+ */
+
+import { makeid } from "../utils";
+import { AbortError, ConflictError, HTTPError, NetworkError, TimeoutError } from "../errors";
+import { JSON_PATCH, MERGE_PATCH } from "../merge-patch";
+
+/**
+ * A patched-sync transport that lets every tab syncing the same object share one connection to the server.
+ *
+ * The tabs elect a leader with the Web Locks API. Only the leader uses the wrapped transport, the other
+ * tabs send their requests to it over a BroadcastChannel. Whatever the server responds is shared with every
+ * tab: a PATCH one tab made is applied in the others as soon as the server accepted it, and so are the
+ * objects and patches the leader gets from polling or a push transport. When the leader tab is closed the
+ * next tab in line takes over.
+ *
+ * Tabs only receive what the others got from the server while they are started, so `delta` resolves with
+ * null in a tab that isn't, and it gets the whole object instead.
+ *
+ * Without the Web Locks API the tabs can't agree on a leader, every tab then uses the wrapped transport on
+ * its own as if it wasn't shared.
+ */
+export default class BroadcastTransport {
+  /**
+   * Construct a new BroadcastTransport.
+   *
+   * @param {Object} transport The transport the leader uses.
+   * @param {String} channel The channel name, the same in every tab syncing the object and different for every object.
+   * @param {Object} [options]
+   * @param {Function} [options.BroadcastChannel] The BroadcastChannel constructor to use, defaults to the global one.
+   * @param {Object} [options.locks] The `LockManager` to elect the leader with, defaults to `navigator.locks`.
+   */
+  constructor(transport, channel, options) {
+    if (!transport) throw new Error("A transport to share is required.");
+    if (!channel) throw new Error("A channel name is required.");
+
+    options = options || {};
+    const ChannelClass =
+      options.BroadcastChannel || (typeof BroadcastChannel !== "undefined" ? BroadcastChannel : null);
+    const locks = options.locks || (typeof navigator !== "undefined" && navigator.locks ? navigator.locks : null);
+
+    this.transport = transport;
+    this.channel = channel;
+    this.tab_id = makeid(12);
+    this.leader = null;
+
+    this._on_object = null;
+    this._on_patch = null;
+    this._on_error = null;
+    this._listening = {};
+    this._polling = false;
+    this._requests = {};
+    this._abdicate = null;
+    this._closed = false;
+
+    this._channel = null;
+    if (!ChannelClass || !locks) {
+      this.leader = this.tab_id;
+      return;
+    }
+
+    this._channel = new ChannelClass(channel);
+    this._channel.onmessage = event => this._message(event.data);
+    this._post({ type: "hello" });
+
+    locks.request(channel, () => {
+      if (this._closed) return null;
+
+      // held until the tab is closed or `close` is called, the next tab waiting for it then takes over
+      return new Promise(resolve => {
+        this._abdicate = resolve;
+        this._lead();
+      });
+    });
+  }
+
+  /**
+   * @returns {Boolean} True if this tab is the one talking to the server.
+   */
+  get leading() {
+    return this.leader === this.tab_id;
+  }
+
+  /**
+   * Get the object from the server, through the leader.
+   *
+   * @param {Object} [options] Handed to the wrapped transport, an `AbortSignal` only cancels the wait in this tab.
+   * @returns {Promise} Resolves with the object.
+   */
+  get(options) {
+    return this._request("get", [], options);
+  }
+
+  /**
+   * Get the changes since the last revision the leader knows, see `FetchTransport.delta`.
+   *
+   * @param {Object} [options] Handed to the wrapped transport.
+   * @returns {Promise<Object[]|null>} The JSON Patch of the changes, or null when the whole object has to be fetched.
+   */
+  delta(options) {
+    if (!this._on_patch || typeof this.transport.delta !== "function") return Promise.resolve(null);
+    return this._request("delta", [], options);
+  }
+
+  /**
+   * Send a patch to the server, through the leader.
+   *
+   * @param {Object[]|Object} patch The JSON Patch, or JSON Merge Patch.
+   * @param {Object} [options] Handed to the wrapped transport.
+   * @returns {Promise} Resolves with the server's response.
+   */
+  patch(patch, options) {
+    return this._request("patch", [patch], options);
+  }
+
+  /**
+   * Add an interceptor to the wrapped transport. Every tab should add the same ones, whichever tab leads uses them.
+   *
+   * @param {Function} interceptor An `async (request, next) => response` function.
+   * @returns {BroadcastTransport} This transport.
+   */
+  use(interceptor) {
+    if (typeof this.transport.use !== "function") throw new Error("The shared transport doesn't take interceptors.");
+
+    this.transport.use(interceptor);
+    return this;
+  }
+
+  /**
+   * Start receiving what the server sends, in this tab and the others.
+   *
+   * @param {Function} on_object Called with the whole object.
+   * @param {Function} on_patch Called with a patch and its format, "json-patch" or "merge-patch".
+   * @param {Function} [on_error] Called when the leader's polling or push connection fails, only in the leader tab.
+   */
+  start(on_object, on_patch, on_error) {
+    this._on_object = on_object;
+    this._on_patch = on_patch;
+    this._on_error = on_error;
+
+    this._listen(this.tab_id, true);
+    if (!this.leading) this._post({ type: "listen", listening: true });
+  }
+
+  /**
+   * Stop receiving, the leader keeps the connection up for the other tabs that are started.
+   */
+  stop() {
+    this._on_object = null;
+    this._on_patch = null;
+    this._on_error = null;
+
+    this._listen(this.tab_id, false);
+    if (!this.leading) this._post({ type: "listen", listening: false });
+  }
+
+  /**
+   * Leave the channel, handing the connection to another tab if this one is leading.
+   */
+  close() {
+    this.stop();
+    this._closed = true;
+    this._stopPolling();
+
+    if (this._channel) this._channel.close();
+    if (this._abdicate) this._abdicate();
+    this._abdicate = null;
+  }
+
+  _lead() {
+    this.leader = this.tab_id;
+    this._post({ type: "leader" });
+    this._redirect();
+    this._poll();
+  }
+
+  _message(message) {
+    if (this._closed) return;
+
+    switch (message.type) {
+      case "hello":
+        if (this.leading) this._post({ type: "leader" });
+        break;
+
+      case "leader":
+        if (this.leader === message.from) return;
+        this.leader = message.from;
+        if (this._on_patch) this._post({ type: "listen", listening: true });
+        this._redirect();
+        break;
+
+      case "listen":
+        this._listen(message.from, message.listening);
+        break;
+
+      case "request":
+        if (this.leading) this._serve(message);
+        break;
+
+      case "reply":
+        if (message.to === this.tab_id) this._reply(message);
+        break;
+
+      case "object":
+      case "patch":
+        this._deliver(message);
+        break;
+    }
+  }
+
+  _request(method, args, options) {
+    const signal = options && options.signal;
+    if (signal && signal.aborted) return Promise.reject(new AbortError());
+
+    return new Promise((resolve, reject) => {
+      const abort = () => {
+        delete this._requests[request.id];
+        reject(new AbortError());
+      };
+      // a signal can outlive many requests, each takes its listener along once it is answered
+      const done = () => signal && signal.removeEventListener("abort", abort);
+      const request = {
+        id: makeid(12),
+        method: method,
+        args: args,
+        options: portable(options),
+        resolve: result => {
+          done();
+          resolve(result);
+        },
+        reject: error => {
+          done();
+          reject(error);
+        },
+      };
+      this._requests[request.id] = request;
+
+      if (signal) signal.addEventListener("abort", abort, { once: true });
+
+      if (this.leading) return this._run(request);
+      if (this.leader !== null) this._send(request);
+    });
+  }
+
+  _send(request) {
+    request.sent = true;
+    this._post({
+      type: "request",
+      id: request.id,
+      method: request.method,
+      args: request.args,
+      options: request.options,
+    });
+  }
+
+  // the leader changed, requests sent to the old one may never be answered
+  _redirect() {
+    const ids = Object.keys(this._requests);
+    for (let index = 0; index < ids.length; index++) {
+      const request = this._requests[ids[index]];
+      if (request.sent && request.method === "patch") {
+        // the old leader may or may not have sent it, the same as a request that lost its connection
+        delete this._requests[request.id];
+        request.reject(new NetworkError("The tab sending the change went away."));
+      } else if (this.leading) {
+        this._run(request);
+      } else {
+        this._send(request);
+      }
+    }
+  }
+
+  _run(request) {
+    this._perform(request.method, request.args, request.options, this.tab_id).then(
+      result => this._settle(request.id, result, null),
+      error => this._settle(request.id, undefined, error)
+    );
+  }
+
+  _serve(message) {
+    this._perform(message.method, message.args, message.options, message.from).then(
+      result => this._post({ type: "reply", to: message.from, id: message.id, result: result }),
+      error => this._post({ type: "reply", to: message.from, id: message.id, error: flatten(error) })
+    );
+  }
+
+  _reply(message) {
+    this._settle(message.id, message.result, message.error ? revive(message.error) : null);
+  }
+
+  _settle(id, result, error) {
+    const request = this._requests[id];
+    if (!request) return;
+
+    delete this._requests[id];
+    if (error) return request.reject(error);
+    request.resolve(result);
+  }
+
+  /**
+   * Make a request with the wrapped transport and share the response with every tab but the one that asked.
+   */
+  async _perform(method, args, options, origin) {
+    if (method === "get") {
+      const object = await this.transport.get(options);
+      this._share({ type: "object", object: object, except: origin });
+      return object;
+    }
+
+    if (method === "delta") {
+      const patch = await this.transport.delta(options);
+      if (patch && patch.length > 0) this._share({ type: "patch", patch: patch, except: origin });
+      return patch;
+    }
+
+    const patch = args[0];
+    const response = await this.transport.patch(patch, options);
+    const format = options && options.format;
+    if (format === MERGE_PATCH) {
+      this._share({ type: "patch", patch: patch, format: format, except: origin });
+      if (response) this._share({ type: "patch", patch: response, format: format, except: origin });
+    } else {
+      // the test operations passed on the server, the other tabs needn't check them again
+      const applied = patch.filter(op => op.op !== "test").concat(response || []);
+      if (applied.length > 0) this._share({ type: "patch", patch: applied, except: origin });
+    }
+    return response;
+  }
+
+  _share(message) {
+    this._deliver(message);
+    this._post(message);
+  }
+
+  _deliver(message) {
+    if (message.except === this.tab_id) return;
+
+    if (message.type === "object" && this._on_object) this._on_object(message.object);
+    if (message.type === "patch" && this._on_patch) this._on_patch(message.patch, message.format || JSON_PATCH);
+  }
+
+  _listen(tab_id, listening) {
+    if (listening) {
+      this._listening[tab_id] = true;
+    } else {
+      delete this._listening[tab_id];
+    }
+    this._poll();
+  }
+
+  // the leader keeps the wrapped transport started while any tab is
+  _poll() {
+    const wanted = this.leading && !this._closed && Object.keys(this._listening).length > 0;
+    if (!wanted) return this._stopPolling();
+    if (this._polling || typeof this.transport.start !== "function") return;
+
+    this._polling = true;
+    this.transport.start(
+      object => this._share({ type: "object", object: object }),
+      (patch, format) => this._share({ type: "patch", patch: patch, format: format }),
+      error => this._on_error && this._on_error(error)
+    );
+  }
+
+  _stopPolling() {
+    if (!this._polling) return;
+
+    this._polling = false;
+    this.transport.stop();
+  }
+
+  _post(message) {
+    if (!this._channel || this._closed) return;
+    this._channel.postMessage(Object.assign({ from: this.tab_id }, message));
+  }
+}
+
+// an AbortSignal can't be sent to another tab
+const portable = options => {
+  if (!options) return undefined;
+
+  const copy = Object.assign({}, options);
+  delete copy.signal;
+  return copy;
+};
+
+// errors don't survive being posted as they are
+const flatten = error => {
+  const flat = { name: error && error.name, message: error && error.message, status: error && error.status };
+  if (error && error.etag !== undefined) flat.etag = error.etag;
+  if (error && error.timeout !== undefined) flat.timeout = error.timeout;
+  try {
+    flat.body = error && error.body !== undefined ? JSON.parse(JSON.stringify(error.body)) : undefined;
+  } catch (e) {
+    flat.body = undefined;
+  }
+  return flat;
+};
+
+const revive = flat => {
+  switch (flat.name) {
+    case "ConflictError":
+      return new ConflictError(flat.etag, flat.body);
+    case "AbortError":
+      return new AbortError();
+    case "TimeoutError":
+      return new TimeoutError(flat.timeout);
+    case "NetworkError":
+      return new NetworkError(flat.message);
+  }
+
+  if (typeof flat.status === "number") return new HTTPError(flat.status, flat.body);
+
+  const error = new Error(flat.message);
+  if (flat.name) error.name = flat.name;
+  return error;
+};
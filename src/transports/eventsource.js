@@ -0,0 +1,187 @@
+/**
+ * A transport using fetch for requests and Server-Sent Events for updates.
+ *
+ * @author Joe Mills
+ * @module transports/eventsource
+ */
+
+import FetchTransport from "./fetch";
+import { changes } from "./poll";
+
+/**
+ * A patched-sync transport that gets and patches the object with fetch, like `FetchTransport`,
+ * but receives patches pushed from the server over an EventSource instead of polling.
+ *
+ * Every event carries a JSON Patch as its data, or the `{ revision, patch }` change that `delta` catches up
+ * with. Only numbered changes keep the revision going, a bare JSON Patch doesn't say which revision it
+ * makes, so the revision is forgotten once one arrives and the next `delta` has to get the whole object.
+ *
+ * Events should have an `id` so the stream can be resumed: the browser sends it back as the `Last-Event-ID`
+ * header when it reconnects by itself, and when the stream has to be reopened by hand it is passed as a query
+ * string parameter. Without an id to resume from the reopened stream catches up with `delta`, or by getting
+ * the whole object.
+ */
+export default class EventSourceTransport extends FetchTransport {
+  /**
+   * Construct a new EventSourceTransport.
+   *
+   * @param {String} get_url The GET URL to get the initial object.
+   * @param {String} patch_url The PATCH URL to set patches to the server.
+   * @param {String} events_url The URL of the Server-Sent Events stream.
+   */
+  constructor(get_url, patch_url, events_url) {
+    super(get_url, patch_url);
+    this.events_url = events_url;
+
+    this.last_event_id = null;
+    this._source = null;
+    this._attempts = 0;
+    this._reconnect_timer = null;
+    this._on_object = null;
+    this._on_patch = null;
+    this._on_error = null;
+
+    this._events = {
+      event: "message",
+      last_event_id_param: "lastEventId",
+      with_credentials: false,
+      reconnect_delay: 500,
+      max_reconnect_delay: 30000,
+      EventSource: typeof EventSource !== "undefined" ? EventSource : null,
+    };
+  }
+
+  /**
+   * Set config options, the fetch options from `FetchTransport.config` are accepted as well.
+   * @param {Object} config The parameters to update.
+   * @param {String} [config.event] The event type carrying patches, defaults to "message".
+   * @param {String} [config.last_event_id_param] The query string parameter used to resume a reopened stream, defaults to "lastEventId".
+   * @param {Boolean} [config.with_credentials] Send cookies with the stream request.
+   * @param {Number} [config.reconnect_delay] The first reopen delay in ms, doubled on every failed attempt.
+   * @param {Number} [config.max_reconnect_delay] The upper bound in ms for the reopen delay.
+   * @param {Function} [config.EventSource] The EventSource constructor to use, defaults to the global one.
+   */
+  config(config) {
+    super.config(config);
+
+    if (config.event) this._events.event = config.event;
+    if (config.last_event_id_param) this._events.last_event_id_param = config.last_event_id_param;
+    if (config.with_credentials !== undefined) this._events.with_credentials = !!config.with_credentials;
+    if (config.reconnect_delay) this._events.reconnect_delay = config.reconnect_delay;
+    if (config.max_reconnect_delay) this._events.max_reconnect_delay = config.max_reconnect_delay;
+    if (config.EventSource) this._events.EventSource = config.EventSource;
+  }
+
+  /**
+   * Open the event stream and start receiving patches.
+   *
+   * @param {Function} on_object Called with the full object when the stream had to be reopened without a position to resume from.
+   * @param {Function} on_patch Called with each JSON Patch the server pushes.
+   * @param {Function} [on_error] Called when the stream fails and has to be reopened.
+   */
+  start(on_object, on_patch, on_error) {
+    this.stop();
+    this._on_object = on_object;
+    this._on_patch = on_patch;
+    this._on_error = on_error;
+    this._open();
+  }
+
+  /**
+   * Close the event stream.
+   */
+  stop() {
+    this._on_object = null;
+    this._on_patch = null;
+    this._on_error = null;
+    clearTimeout(this._reconnect_timer);
+    this._reconnect_timer = null;
+
+    if (this._source) {
+      this._source.close();
+      this._source = null;
+    }
+  }
+
+  _open() {
+    const SourceClass = this._events.EventSource;
+    if (!SourceClass) {
+      if (this._on_error) this._on_error(new Error("EventSource is not available in this environment."));
+      return;
+    }
+
+    let url = this.events_url;
+    if (this.last_event_id !== null) {
+      url += (url.indexOf("?") === -1 ? "?" : "&") + encodeURIComponent(this._events.last_event_id_param);
+      url += "=" + encodeURIComponent(this.last_event_id);
+    }
+
+    const reopened = this._attempts > 0;
+    const source = new SourceClass(url, { withCredentials: this._events.with_credentials });
+    this._source = source;
+
+    source.onopen = () => {
+      this._attempts = 0;
+
+      // without an id to resume from, whatever was pushed while the stream was down is lost
+      if (reopened && this.last_event_id === null && this._on_object) {
+        changes(this).then(
+          result => {
+            if (!result.patch) return this._on_object && this._on_object(result.object);
+            if (result.patch.length > 0 && this._on_patch) this._on_patch(result.patch);
+          },
+          error => this._on_error && this._on_error(error)
+        );
+      }
+    };
+
+    source.addEventListener(this._events.event, event => {
+      if (event.lastEventId) this.last_event_id = event.lastEventId;
+
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (e) {
+        return;
+      }
+
+      let patch = data;
+      if (isChange(data) && this._revisions.revision !== null) {
+        // skips changes already seen, our own patches among them
+        patch = this._revisions.caughtUp([data], null);
+        if (patch.length === 0) return;
+      } else {
+        if (isChange(data)) patch = data.patch;
+        if (!Array.isArray(patch)) return;
+        this._revisions.reset(null);
+      }
+
+      if (this._on_patch) this._on_patch(patch);
+    });
+
+    source.onerror = error => {
+      // a connecting source is retried by the browser, sending Last-Event-ID, a closed one is up to us
+      if (source.readyState !== 2 || this._source !== source) return;
+
+      source.close();
+      this._source = null;
+      if (this._on_error) this._on_error(error);
+      this._reconnect();
+    };
+  }
+
+  _reconnect() {
+    if (!this._on_patch || this._reconnect_timer) return;
+
+    const delay = Math.min(this._events.reconnect_delay * Math.pow(2, this._attempts), this._events.max_reconnect_delay);
+    this._attempts++;
+
+    this._reconnect_timer = setTimeout(() => {
+      this._reconnect_timer = null;
+      this._open();
+    }, delay);
+  }
+}
+
+const isChange = data =>
+  data !== null && typeof data === "object" && Array.isArray(data.patch) && Number.isInteger(data.revision);
@@ -5,12 +5,34 @@
  * @module transports/fetch
  */
 
+import { pollChanges } from "./poll";
+import { DEFAULT_RETRY, retryPolicy, withRetry } from "./retry";
+import RevisionTracker, { DEFAULT_REVISIONS, parseRevision, sinceUrl } from "./revisions";
+import { AbortError, ConflictError, HTTPError, TimeoutError } from "../errors";
+import { JSON_PATCH, MERGE_PATCH, CONTENT_TYPE } from "../merge-patch";
+import { intercept } from "./interceptors";
+
 const DEFAULT_HEADERS = {
   "Content-Type": "application/json",
 };
 
 /**
  * A patched-sync transport that wraps fetch.
+ *
+ * The server's ETag is tracked. GET requests send it in `If-None-Match` so that an unchanged object
+ * isn't downloaded again, a 304 resolves with the object from the last full response. PATCH requests
+ * send it in `If-Match`, and a 412 Precondition Failed rejects with a `ConflictError`. Any other error status
+ * rejects with an `HTTPError`, both carrying the response body. Since every PATCH has to name the ETag the one
+ * before it got back, PATCH requests are sent one at a time while an ETag is known.
+ *
+ * Patches are sent as JSON Patch unless the format is set to "merge-patch", then the body is expected to
+ * be a JSON Merge Patch and goes out as `application/merge-patch+json`.
+ *
+ * When the server numbers its changes, sending the revision the object is at in an `X-Revision` header,
+ * the revision is tracked as well and `delta` and polling only download the changes since it. See `delta`
+ * for what the server is expected to respond.
+ *
+ * Every attempt at a request goes through the interceptors added with `use`, see `interceptors.intercept`.
  */
 export default class FetchTransport {
   /**
@@ -27,14 +49,33 @@ export default class FetchTransport {
 
     this._config = {
       mode: "cors",
-      cache: "no-cache",
+      // revalidation is done with the tracked ETag, the browser cache would only get in the way
+      cache: "no-store",
       credentials: "same-origin",
       headers: {
         "Content-Type": "application/json",
       },
       redirect: "follow",
       referrer: "no-referrer",
+      format: JSON_PATCH,
+      revision_header: DEFAULT_REVISIONS.revision_header,
+      since_param: DEFAULT_REVISIONS.since_param,
     };
+
+    this._retry = retryPolicy(DEFAULT_RETRY);
+    this._interceptors = [];
+
+    this.etag = null;
+    this._cached = null;
+    this._revisions = new RevisionTracker();
+    this._patching = null;
+  }
+
+  /**
+   * @returns {Number|null} The last revision of the object on the server that was caught up with, null if it isn't known.
+   */
+  get revision() {
+    return this._revisions.revision;
   }
 
   /**
@@ -46,6 +87,13 @@ export default class FetchTransport {
    * @param {String} [config.redirect] The redirect setting.
    * @param {String} [config.referrer] The referrer setting.
    * @param {Object} [config.headers] An object filled with key-value pairs to add as headers.
+   * @param {String} [config.format] The patch format, "json-patch" (the default) or "merge-patch".
+   * @param {String} [config.revision_header] The response header carrying the revision, defaults to "X-Revision".
+   * @param {String} [config.since_param] The query string parameter asking for the changes since a revision, defaults to "since".
+   * @param {Number} [config.retries] How many times a failed request is retried, defaults to 2.
+   * @param {Number} [config.delay] The base retry delay in ms, doubled on every retry and jittered.
+   * @param {Number} [config.max_delay] The upper bound in ms for the retry delay.
+   * @param {Number} [config.timeout] How long in ms a single attempt may take, defaults to 30000, 0 for no limit.
    */
   config(config) {
     if (config.mode) this._config.mode = config.mode;
@@ -54,12 +102,35 @@ export default class FetchTransport {
     if (config.redirect) this._config.redirect = config.redirect;
     if (config.referrer) this._config.referrer = config.referrer;
     if (config.headers) this._config.headers = Object.assign({}, this._config.headers, config.headers);
+    if (config.format) this._config.format = config.format;
+    if (config.revision_header) this._config.revision_header = config.revision_header;
+    if (config.since_param) this._config.since_param = config.since_param;
+    // changed in place, transports made with `bind` share it
+    Object.assign(this._retry, retryPolicy(this._retry, config));
+  }
+
+  /**
+   * Add an interceptor, which sees every request after the ones added before it.
+   *
+   * The request it gets is `{ method, url, headers, body }`, the body being the JSON text. See
+   * `interceptors.intercept` for what an interceptor can do, and `interceptors.bearer` for one that keeps
+   * an OAuth token fresh.
+   *
+   * @param {Function} interceptor An `async (request, next) => response` function.
+   * @returns {FetchTransport} This transport.
+   */
+  use(interceptor) {
+    if (typeof interceptor !== "function") throw new Error("An interceptor must be a function.");
+
+    this._interceptors.push(interceptor);
+    return this;
   }
 
   /**
    * Perform a GET request on the configured URL.
    *
    * The config object is not required and falls back to the defaults or the values provided to the `config` method.
+   * Failed attempts are retried according to the retry policy, a GET is always safe to repeat.
    *
    * @param {Object} config The parameters to update within fetch.
    * @param {String} config.mode The CORS mode.
@@ -68,30 +139,43 @@ export default class FetchTransport {
    * @param {String} config.redirect The redirect setting.
    * @param {String} config.referrer The referrer setting.
    * @param {Object} config.headers An object filled with key-value pairs to add as headers.
+   * @param {AbortSignal} config.signal Cancels the request, it then rejects with an `AbortError`.
    */
   get(config) {
-    if (!config) config = {};
-    config = Object.assign({}, config, this._config);
-    return fetch(this.get_url, {
-      method: "GET",
-      mode: config.mode,
-      cache: config.cache,
-      credentials: config.credentials,
-      headers: Object.assign({}, config.headers, DEFAULT_HEADERS),
-      redirect: config.redirect,
-      referrer: config.referrer,
-    }).then(res => {
-      if(res.status > 399) throw res;
-      return res.json();
+    return this._request("GET", this.get_url, undefined, config, true);
+  }
+
+  /**
+   * Get only the changes made on the server since the last known revision.
+   *
+   * Requests the GET URL with the revision as the `since` query string parameter. The server should respond
+   * with the changes since that revision as a list of `{ revision, patch }`, oldest first, and the revision it
+   * is at in the revision header. A 410 Gone says the revision is too old to catch up from.
+   *
+   * Changes the transport sent itself are left out, the client already has them.
+   *
+   * @param {Object} [config] The same parameters as `get`.
+   * @returns {Promise<Object[]|null>} The JSON Patch of the changes, empty if there are none, or null when no revision is known or the server can't catch up from it, then the whole object has to be fetched with `get`.
+   */
+  delta(config) {
+    const since = this._revisions.revision;
+    if (since === null) return Promise.resolve(null);
+
+    return this._request("GET", this.get_url, undefined, config, true, since).catch(error => {
+      if (!error || error.status !== 410) throw error;
+
+      this._revisions.reset(null);
+      return null;
     });
   }
 
   /**
-   * Perform a JSON Patch request on the configured URL.
+   * Perform a JSON Patch, or JSON Merge Patch, request on the configured URL.
    *
    * The config object is not required and falls back to the defaults or the values provided to the `config` method.
+   * A PATCH is only retried when the server could not be reached at all, since it may already have been applied.
    *
-   * @param {Object[]} patch The JSON Patch formatted changes to be sent to the server.
+   * @param {Object[]|Object} patch The JSON Patch formatted changes to be sent to the server, or a JSON Merge Patch.
    * @param {Object} config The parameters to update within fetch.
    * @param {String} config.mode The CORS mode.
    * @param {String} config.cache The cache setting.
@@ -99,33 +183,195 @@ export default class FetchTransport {
    * @param {String} config.redirect The redirect setting.
    * @param {String} config.referrer The referrer setting.
    * @param {Object} config.headers An object filled with key-value pairs to add as headers.
+   * @param {String} config.format The patch format, "json-patch" or "merge-patch".
+   * @param {AbortSignal} config.signal Cancels the request, it then rejects with an `AbortError`.
    */
   patch(patch, config) {
+    return inTurn(this, () => this._request("PATCH", this.patch_url, JSON.stringify(patch), config, false));
+  }
+
+  /**
+   * Make a transport for another document, sharing this one's config and retry policy.
+   *
+   * Used by `PatchedSyncStore`, which fills the URL templates for every document it loads.
+   *
+   * @param {String} key The document key, unused since the URLs already identify the document.
+   * @param {String} get_url The GET URL of the document.
+   * @param {String} patch_url The PATCH URL of the document.
+   * @returns {FetchTransport} The new transport.
+   */
+  bind(key, get_url, patch_url) {
+    const bound = new FetchTransport(get_url, patch_url, this.interval);
+    bound._config = this._config;
+    bound._retry = this._retry;
+    bound._interceptors = this._interceptors;
+    return bound;
+  }
+
+  /**
+   * Start polling the GET URL for changes made on the server.
+   *
+   * Once a revision is known only the changes since it are requested, see `delta`.
+   *
+   * @param {Function} on_object Called with the full object after a poll that had to get it whole.
+   * @param {Function} [on_patch] Called with the JSON Patch of the changes after a poll that caught up from the revision, without it every poll gets the whole object.
+   * @param {Function} [on_error] Called with the error when a poll fails.
+   */
+  start(on_object, on_patch, on_error) {
+    this.stop();
+    this._stop = pollChanges(this, on_object, on_patch, on_error);
+  }
+
+  /**
+   * Stop polling.
+   */
+  stop() {
+    if (this._stop) this._stop();
+    this._stop = null;
+  }
+
+  _request(method, url, body, config, idempotent, since) {
     if (!config) config = {};
-    config = Object.assign({}, config, this._config);
-    return fetch(this.patch_url, {
-      method: "PATCH",
+    const signal = config.signal;
+    const headers = Object.assign({}, this._config.headers, config.headers, DEFAULT_HEADERS);
+    config = Object.assign({}, this._config, config);
+
+    const delta = since !== undefined;
+    if (delta) url = sinceUrl(url, config.since_param, since);
+
+    const cached = method === "GET" && !delta ? this._cached : null;
+    const etag = method === "PATCH" ? this.etag : null;
+    if (cached) headers["If-None-Match"] = cached.etag;
+    if (etag) headers["If-Match"] = etag;
+    if (method === "PATCH" && config.format === MERGE_PATCH) headers["Content-Type"] = CONTENT_TYPE;
+
+    const init = {
       mode: config.mode,
       cache: config.cache,
       credentials: config.credentials,
-      headers: Object.assign({}, config.headers, DEFAULT_HEADERS),
       redirect: config.redirect,
       referrer: config.referrer,
-      body: JSON.stringify(patch),
-    }).then(res => {
-      if(res.status > 399) throw res;
-      return res.json();
-    });
-  }
+    };
 
-  start(fn) {
-    this._interval = setInterval(async () => {
-      const obj = await this.get();
-      fn(obj);
-    }, this.interval);
-  }
+    const send = request =>
+      attempt(
+        request.url,
+        Object.assign({}, init, { method: request.method, headers: request.headers, body: request.body }),
+        etag,
+        this._retry.timeout,
+        signal
+      );
+    const request = () =>
+      intercept(this._interceptors, { method: method, url: url, headers: headers, body: body }, send);
 
-  stop() {
-    clearInterval(this._interval);
+    return withRetry(request, this._retry, idempotent, signal).then(response => {
+      const header = name => (response.headers ? response.headers.get(name) : null);
+      const revision = parseRevision(header(config.revision_header));
+      if (response.status === 304 && cached) {
+        this._revisions.reset(revision);
+        return JSON.parse(JSON.stringify(cached.object));
+      }
+
+      this.etag = header("ETag");
+      if (delta) {
+        if (Array.isArray(response.body)) return this._revisions.caughtUp(response.body, revision);
+
+        // not something to catch up from, get the whole object instead
+        this._revisions.reset(null);
+        return null;
+      }
+
+      if (method === "GET") {
+        this._cached = this.etag ? { etag: this.etag, object: response.body } : null;
+        this._revisions.reset(revision);
+      } else {
+        this._revisions.patched(revision);
+      }
+
+      return response.body;
+    });
   }
 }
+
+/**
+ * Send a PATCH once the ones before it are done, when they have to carry an ETag.
+ *
+ * The ETag is only read when the request is made, so each one gets the ETag of the response before it
+ * rather than all of them the one that was current when they were handed over.
+ *
+ * @param {Object} transport A transport with `etag`, whose `_patching` holds the last PATCH waited on.
+ * @param {Function} send Makes the request, returns a promise.
+ * @returns {Promise} The request.
+ */
+export const inTurn = (transport, send) => {
+  if (!transport.etag && !transport._patching) return send();
+
+  const request = (transport._patching || Promise.resolve()).then(send);
+  const done = request.catch(() => {});
+  transport._patching = done;
+  done.then(() => {
+    if (transport._patching === done) transport._patching = null;
+  });
+  return request;
+};
+
+const attempt = (url, init, etag, timeout, signal) =>
+  new Promise((resolve, reject) => {
+    // every attempt gets its own controller, aborted by the caller's signal or the timeout
+    const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+    if (controller) init = Object.assign({}, init, { signal: controller.signal });
+
+    const settle = (fn, value) => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", aborted);
+      fn(value);
+    };
+    const aborted = () => {
+      if (controller) controller.abort();
+      settle(reject, new AbortError());
+    };
+    const timer = timeout
+      ? setTimeout(() => {
+          if (controller) controller.abort();
+          settle(reject, new TimeoutError(timeout));
+        }, timeout)
+      : null;
+
+    if (signal) {
+      // an interceptor may have taken its time, the caller could have given up meanwhile
+      if (signal.aborted) return aborted();
+      signal.addEventListener("abort", aborted);
+    }
+
+    fetch(url, init)
+      .then(res => {
+        const response = { status: res.status, headers: res.headers || null };
+        if (res.status === 304 || res.status === 204) return response;
+        if (res.status === 412) {
+          return errorBody(res).then(body => {
+            throw new ConflictError(etag, body);
+          });
+        }
+        if (res.status > 399) {
+          return errorBody(res).then(body => {
+            throw new HTTPError(res.status, body);
+          });
+        }
+
+        return res.json().then(body => Object.assign(response, { body: body }));
+      })
+      .then(response => settle(resolve, response), error => settle(reject, error));
+  });
+
+// the body of an error response, parsed as JSON when possible and the text otherwise
+const errorBody = res =>
+  res.text().then(
+    text => {
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return text || undefined;
+      }
+    },
+    () => undefined
+  );
@@ -0,0 +1,104 @@
+/**
+ * The interceptor chain shared by the transports.
+ *
+ * @author Joe Mills
+ * @module transports/interceptors
+ */
+
+/**
+ * Send a request through a chain of interceptors.
+ *
+ * An interceptor is a function `(request, next)`, where `request` is `{ method, url, headers, body }` and
+ * `next(request)` hands it to the next interceptor, the last one sending it. Whatever the interceptor
+ * returns, or resolves with, is the response `{ status, headers, body }`, `headers` having a `get(name)`.
+ * A request the server refused rejects with an error that has the `status`, so an interceptor can:
+ *
+ * - change the request before calling `next`, or call `next` with another request,
+ * - look at, or replace, the response `next` resolves with,
+ * - catch what `next` rejects with, and call `next` again to retry.
+ *
+ * ```javascript
+ * // log every request
+ * transport.use(async (request, next) => {
+ *   const started = Date.now();
+ *   const response = await next(request);
+ *   console.log(request.method, request.url, response.status, Date.now() - started);
+ *   return response;
+ * });
+ * ```
+ *
+ * @param {Function[]} interceptors The interceptors, the first one sees the request first.
+ * @param {Object} request The request, it is not modified, every interceptor gets a copy.
+ * @param {Function} send Sends the request, returns a promise of the response.
+ * @returns {Promise<Object>} The response.
+ */
+export const intercept = (interceptors, request, send) => {
+  const dispatch = (index, current) => {
+    // started right away, a request without interceptors goes out as soon as it is made
+    if (index >= interceptors.length) return new Promise(resolve => resolve(send(current)));
+
+    const next = changed => dispatch(index + 1, copy(changed || current));
+    return new Promise(resolve => resolve(interceptors[index](current, next)));
+  };
+
+  return dispatch(0, copy(request));
+};
+
+/**
+ * An interceptor that sends a bearer token with every request, and gets a new one once the server says it expired.
+ *
+ * A request refused with 401 Unauthorized is sent again, once, after `refresh` resolved. Requests that
+ * fail while a refresh is under way share it rather than starting their own.
+ *
+ * ```javascript
+ * transport.use(bearer({ token: () => auth.access_token, refresh: () => auth.refresh() }));
+ * ```
+ *
+ * @param {Object} options
+ * @param {Function} options.token Returns the current token, or a promise of it.
+ * @param {Function} options.refresh Gets a new token, returns a promise that resolves once `token` returns it.
+ * @param {String} [options.header] The header to send the token in, defaults to "Authorization".
+ * @param {String} [options.scheme] What goes in front of the token, defaults to "Bearer".
+ * @returns {Function} The interceptor.
+ */
+export const bearer = options => {
+  if (!options || typeof options.token !== "function" || typeof options.refresh !== "function") {
+    throw new Error("A bearer interceptor needs a token and a refresh function.");
+  }
+
+  const header = options.header || "Authorization";
+  const scheme = options.scheme !== undefined ? options.scheme : "Bearer";
+  let refreshing = null;
+
+  const authorize = async request => {
+    const token = await options.token();
+    if (token) request.headers[header] = scheme ? `${scheme} ${token}` : token;
+    return request;
+  };
+
+  const refresh = () => {
+    if (!refreshing) {
+      refreshing = Promise.resolve(options.refresh()).then(
+        () => (refreshing = null),
+        error => {
+          refreshing = null;
+          throw error;
+        }
+      );
+    }
+    return refreshing;
+  };
+
+  return async (request, next) => {
+    try {
+      return await next(await authorize(request));
+    } catch (error) {
+      if (!error || error.status !== 401) throw error;
+
+      await refresh();
+      return next(await authorize(request));
+    }
+  };
+};
+
+const copy = request => Object.assign({}, request, { headers: Object.assign({}, request.headers) });
@@ -0,0 +1,72 @@
+/**
+ * Polling shared by the HTTP transports.
+ *
+ * @author Joe Mills
+ * @module transports/poll
+ */
+
+/**
+ * Keep requesting the object until stopped.
+ *
+ * The next request is only scheduled once the previous one finished, so slow responses never pile up.
+ *
+ * @param {Function} get Requests the object, returns a promise.
+ * @param {Number} interval How long in ms to wait between requests.
+ * @param {Function} on_object Called with every object that was received.
+ * @param {Function} [on_error] Called with the error when a request fails, polling carries on regardless.
+ * @returns {Function} Stops polling.
+ */
+export const poll = (get, interval, on_object, on_error) => {
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    try {
+      const obj = await get();
+      if (!stopped) on_object(obj);
+    } catch (error) {
+      if (!stopped && on_error) on_error(error);
+    }
+
+    if (!stopped) timer = setTimeout(tick, interval);
+  };
+
+  timer = setTimeout(tick, interval);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+/**
+ * Get what changed on the server, only the changes since the last known revision when that is possible.
+ *
+ * @param {Object} transport An HTTP transport, with `get` and `delta`.
+ * @param {Object} [config] Passed on to the requests.
+ * @returns {Promise<Object>} Resolves with `{ patch }` when the transport caught up from its revision, `{ object }` when it got the whole object.
+ */
+export const changes = (transport, config) =>
+  transport
+    .delta(config)
+    .then(patch => (patch !== null ? { patch: patch } : transport.get(config).then(object => ({ object: object }))));
+
+/**
+ * Keep polling a transport for changes, see `changes`.
+ *
+ * @param {Object} transport An HTTP transport, with `get`, `delta` and `interval`.
+ * @param {Function} on_object Called with the whole object.
+ * @param {Function} [on_patch] Called with the JSON Patch of the changes since the last poll, if there are any. Without it the whole object is requested every time.
+ * @param {Function} [on_error] Called with the error when a poll fails.
+ * @returns {Function} Stops polling.
+ */
+export const pollChanges = (transport, on_object, on_patch, on_error) =>
+  poll(
+    () => (on_patch ? changes(transport) : transport.get().then(object => ({ object: object }))),
+    transport.interval,
+    result => {
+      if (!result.patch) return on_object(result.object);
+      if (result.patch.length > 0) on_patch(result.patch);
+    },
+    on_error
+  );
@@ -0,0 +1,101 @@
+/**
+ * The retry policy shared by the HTTP transports.
+ *
+ * @author Joe Mills
+ * @module transports/retry
+ */
+
+import { AbortError } from "../errors";
+
+/**
+ * The default retry policy.
+ */
+export const DEFAULT_RETRY = {
+  retries: 2,
+  delay: 300,
+  max_delay: 10000,
+  timeout: 30000,
+};
+
+/**
+ * Merge retry settings into a policy, ignoring anything that isn't set.
+ *
+ * @param {Object} policy The policy to start from.
+ * @param {Object} [config] The settings to apply.
+ * @param {Number} [config.retries] How many times a failed request is retried.
+ * @param {Number} [config.delay] The base backoff delay in ms, doubled on every retry.
+ * @param {Number} [config.max_delay] The upper bound in ms for the backoff delay.
+ * @param {Number} [config.timeout] How long in ms a single attempt may take, 0 for no limit.
+ * @returns {Object} The new policy.
+ */
+export const retryPolicy = (policy, config) => {
+  policy = Object.assign({}, policy);
+  if (!config) return policy;
+
+  if (config.retries !== undefined) policy.retries = config.retries;
+  if (config.delay !== undefined) policy.delay = config.delay;
+  if (config.max_delay !== undefined) policy.max_delay = config.max_delay;
+  if (config.timeout !== undefined) policy.timeout = config.timeout;
+
+  return policy;
+};
+
+/**
+ * Check if a failed attempt is worth retrying.
+ *
+ * Failures to reach the server at all are always retried. Timeouts and server side errors (408, 429
+ * and 5xx) are only retried for idempotent requests, since a PATCH may already have been applied.
+ *
+ * @param {*} error What the attempt failed with.
+ * @param {Boolean} idempotent Whether repeating the request is harmless.
+ * @returns {Boolean} True if the request should be tried again.
+ */
+export const retryable = (error, idempotent) => {
+  if (!error || error.name === "AbortError") return false;
+  if (error.name === "TimeoutError") return idempotent;
+  if (typeof error.status === "number" && error.status > 0) {
+    return idempotent && (error.status === 408 || error.status === 429 || error.status >= 500);
+  }
+
+  // fetch rejects with a TypeError when the request never got a response
+  return error.name === "NetworkError" || error.name === "TypeError" || error.status === 0;
+};
+
+/**
+ * Run an attempt until it succeeds, retrying with exponential backoff and full jitter.
+ *
+ * @param {Function} attempt Makes one attempt, called with the attempt number, returns a promise.
+ * @param {Object} policy The retry policy, see `retryPolicy`.
+ * @param {Boolean} idempotent Whether repeating the request is harmless.
+ * @param {AbortSignal} [signal] Stops retrying when aborted.
+ * @returns {Promise} Resolves with the result of the first successful attempt.
+ */
+export const withRetry = async (attempt, policy, idempotent, signal) => {
+  for (let count = 0; ; count++) {
+    if (signal && signal.aborted) throw new AbortError();
+
+    try {
+      return await attempt(count);
+    } catch (error) {
+      if (count >= policy.retries || !retryable(error, idempotent)) throw error;
+    }
+
+    const ceiling = Math.min(policy.max_delay, policy.delay * Math.pow(2, count));
+    await sleep(Math.random() * ceiling, signal);
+  }
+};
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const done = () => {
+      if (signal) signal.removeEventListener("abort", aborted);
+      resolve();
+    };
+    const aborted = () => {
+      clearTimeout(timer);
+      reject(new AbortError());
+    };
+
+    const timer = setTimeout(done, ms);
+    if (signal) signal.addEventListener("abort", aborted);
+  });
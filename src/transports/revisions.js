@@ -0,0 +1,105 @@
+/**
+ * Revision tracking shared by the HTTP transports.
+ *
+ * @author Joe Mills
+ * @module transports/revisions
+ */
+
+/**
+ * Where the revision is found: the response header carrying it, and the query string parameter
+ * asking for the changes since one.
+ */
+export const DEFAULT_REVISIONS = {
+  revision_header: "X-Revision",
+  since_param: "since",
+};
+
+/**
+ * Add the revision to catch up from to a URL.
+ *
+ * @param {String} url The GET URL.
+ * @param {String} param The query string parameter.
+ * @param {Number} revision The last known revision.
+ * @returns {String} The URL asking for the changes since that revision.
+ */
+export const sinceUrl = (url, param, revision) =>
+  url + (url.indexOf("?") === -1 ? "?" : "&") + encodeURIComponent(param) + "=" + encodeURIComponent(revision);
+
+/**
+ * Read a revision from a header value.
+ *
+ * @param {String|null} value The header value.
+ * @returns {Number|null} The revision, or null if there is none.
+ */
+export const parseRevision = value => {
+  if (value === null || value === undefined || value === "") return null;
+
+  const revision = Number(value);
+  return Number.isInteger(revision) ? revision : null;
+};
+
+/**
+ * Keeps track of the revision of the object on the server that the client has caught up with.
+ *
+ * The server numbers every change to an object, one after the other, and sends the number the object
+ * is at with every response. A full GET sets the revision outright. A PATCH usually moves it one on,
+ * unless someone else's change got in first: then the revision stays where it is, since that change
+ * hasn't been seen yet, and the PATCH's own revision is remembered so it is skipped when catching up.
+ */
+export default class RevisionTracker {
+  constructor() {
+    this.revision = null;
+    // revisions of our own patches that are ahead of `revision`
+    this._ahead = [];
+  }
+
+  /**
+   * The full object was received.
+   *
+   * @param {Number|null} revision The revision it is at, null if the server didn't say.
+   */
+  reset(revision) {
+    this.revision = revision;
+    this._ahead = [];
+  }
+
+  /**
+   * A patch was accepted.
+   *
+   * @param {Number|null} revision The revision the patch made.
+   */
+  patched(revision) {
+    if (revision === null || this.revision === null || revision <= this.revision) return;
+
+    this._ahead.push(revision);
+    this._advance();
+  }
+
+  /**
+   * The changes since the revision were received.
+   *
+   * @param {Object[]} entries The `{ revision, patch }` changes, oldest first.
+   * @param {Number|null} revision The revision the server is at, null if it didn't say.
+   * @returns {Object[]} The JSON Patch of the changes that weren't seen yet.
+   */
+  caughtUp(entries, revision) {
+    const patch = [];
+    let latest = revision !== null ? Math.max(this.revision, revision) : this.revision;
+    for (let index = 0; index < entries.length; index++) {
+      const entry = entries[index];
+      latest = Math.max(latest, entry.revision);
+      if (entry.revision > this.revision && this._ahead.indexOf(entry.revision) === -1) {
+        Array.prototype.push.apply(patch, entry.patch);
+      }
+    }
+
+    this.revision = latest;
+    this._advance();
+    return patch;
+  }
+
+  _advance() {
+    while (this._ahead.indexOf(this.revision + 1) !== -1) this.revision++;
+    this._ahead = this._ahead.filter(revision => revision > this.revision);
+  }
+}
@@ -5,9 +5,312 @@
  * @module transports/websocket
  */
 
+import { makeid } from "../utils";
+import { intercept } from "./interceptors";
+
+// a socket reply has no headers of its own
+const NO_HEADERS = { get: () => null };
+
+/**
+ * A patched-sync transport that wraps a WebSocket.
+ *
+ * Every message sent over the socket is a JSON envelope of the form:
+ *
+ * ```javascript
+ * { message: "patch_message", id: "request id", data: Anything }
+ * ```
+ *
+ * The server replies using the same `message` and `id`, placing the result in `data`
+ * or a failure in `error`. Any message that arrives with the patch message name and
+ * without the `id` of an outstanding request is treated as a patch pushed from the server.
+ *
+ * Transports made with `bind` share the socket, their messages carry the document `key` as well.
+ * Pushed patches with a `key` go to the document with that key.
+ *
+ * Requests go through the interceptors added with `use`, as `{ method, url, headers, body }` where
+ * `method` is "GET" or "PATCH" and `body` the data. A browser can't set headers on a socket, so any
+ * headers an interceptor sets are sent in the envelope as `headers`. A failure the server replies with
+ * is rejected as is, an interceptor retrying on 401 needs it to have a `status`.
+ */
 export default class WebsocketTransport {
-  constructor(get_message, patch_message) {
+  /**
+   * Construct a new WebsocketTransport.
+   *
+   * @param {String} socket_url The web-socket URL to connect to.
+   * @param {String} get_message The message name used to request and receive the server side version of the object.
+   * @param {String} patch_message The message name used to send and receive patches.
+   */
+  constructor(socket_url, get_message, patch_message) {
+    this.socket_url = socket_url;
     this.get_message = get_message;
     this.patch_message = patch_message;
+
+    this._socket = null;
+    this._connecting = null;
+    this._pending = {};
+    this._attempts = 0;
+    this._reconnect_timer = null;
+    this._on_object = null;
+    this._on_patch = null;
+    this._documents = {};
+    this._interceptors = [];
+
+    this._config = {
+      protocols: undefined,
+      timeout: 10000,
+      reconnect_delay: 500,
+      max_reconnect_delay: 30000,
+      WebSocket: typeof WebSocket !== "undefined" ? WebSocket : null,
+    };
+  }
+
+  /**
+   * Set config options for the socket.
+   * @param {Object} config The parameters to update.
+   * @param {String|String[]} [config.protocols] The sub-protocols handed to the WebSocket constructor.
+   * @param {Number} [config.timeout] How long in ms to wait for a reply before rejecting a request.
+   * @param {Number} [config.reconnect_delay] The first reconnect delay in ms, doubled on every failed attempt.
+   * @param {Number} [config.max_reconnect_delay] The upper bound in ms for the reconnect delay.
+   * @param {Function} [config.WebSocket] The WebSocket constructor to use, defaults to the global one.
+   */
+  config(config) {
+    if (config.protocols) this._config.protocols = config.protocols;
+    if (config.timeout) this._config.timeout = config.timeout;
+    if (config.reconnect_delay) this._config.reconnect_delay = config.reconnect_delay;
+    if (config.max_reconnect_delay) this._config.max_reconnect_delay = config.max_reconnect_delay;
+    if (config.WebSocket) this._config.WebSocket = config.WebSocket;
+  }
+
+  /**
+   * Add an interceptor, which sees every request after the ones added before it, see `FetchTransport.use`.
+   *
+   * @param {Function} interceptor An `async (request, next) => response` function.
+   * @returns {WebsocketTransport} This transport.
+   */
+  use(interceptor) {
+    if (typeof interceptor !== "function") throw new Error("An interceptor must be a function.");
+
+    this._interceptors.push(interceptor);
+    return this;
+  }
+
+  /**
+   * Open the socket if it isn't already open.
+   * @returns {Promise} Resolves once the socket is open.
+   */
+  connect() {
+    if (this._socket && this._socket.readyState === 1) return Promise.resolve();
+    if (this._connecting) return this._connecting;
+
+    const SocketClass = this._config.WebSocket;
+    if (!SocketClass) return Promise.reject(new Error("WebSocket is not available in this environment."));
+
+    this._connecting = new Promise((resolve, reject) => {
+      const socket = new SocketClass(this.socket_url, this._config.protocols);
+      this._socket = socket;
+      let opened = false;
+
+      socket.onopen = () => {
+        const reconnected = this._attempts > 0;
+        opened = true;
+        this._attempts = 0;
+        this._connecting = null;
+        resolve();
+
+        // Pushed patches may have been missed while the socket was down, so resync the whole object.
+        if (reconnected && this._on_object) {
+          this.get().then(this._on_object, () => {});
+        }
+        if (reconnected) {
+          Object.keys(this._documents).forEach(key => {
+            const doc = this._documents[key];
+            this._request(this.get_message, undefined, key).then(doc.on_object, () => {});
+          });
+        }
+      };
+
+      socket.onmessage = event => this._receive(event.data);
+
+      socket.onclose = () => {
+        this._socket = null;
+        this._connecting = null;
+        this._rejectPending(new Error("WebSocket connection closed."));
+        if (!opened) reject(new Error("WebSocket connection failed."));
+        this._reconnect();
+      };
+
+      socket.onerror = () => {
+        // a close event always follows an error, reconnection is handled there
+      };
+    });
+
+    return this._connecting;
+  }
+
+  /**
+   * Request the server side version of the object.
+   * @returns {Promise} Resolves with the object.
+   */
+  get() {
+    return this._request(this.get_message);
+  }
+
+  /**
+   * Send a JSON Patch to the server.
+   * @param {Object[]} patch The JSON Patch formatted changes to be sent to the server.
+   * @returns {Promise} Resolves with the server's JSON Patch response.
+   */
+  patch(patch) {
+    return this._request(this.patch_message, patch);
+  }
+
+  /**
+   * Make a transport for one document that shares this socket, used by `PatchedSyncStore`.
+   *
+   * @param {String} key The document key, sent with every message.
+   * @returns {Object} A transport with `get`, `patch`, `start` and `stop`.
+   */
+  bind(key) {
+    return new WebsocketDocument(this, key);
+  }
+
+  /**
+   * Start listening for changes pushed from the server.
+   *
+   * @param {Function} on_object Called with the full object whenever it is (re)fetched after a reconnect.
+   * @param {Function} on_patch Called with each JSON Patch the server pushes.
+   */
+  start(on_object, on_patch) {
+    this._on_object = on_object;
+    this._on_patch = on_patch;
+    this.connect().catch(() => {});
+  }
+
+  /**
+   * Stop listening and close the socket. The socket will not reconnect until it is used again.
+   */
+  stop() {
+    this._on_object = null;
+    this._on_patch = null;
+    clearTimeout(this._reconnect_timer);
+    this._reconnect_timer = null;
+
+    if (this._socket) {
+      const socket = this._socket;
+      this._socket = null;
+      this._connecting = null;
+      socket.onclose = null;
+      socket.close();
+      this._rejectPending(new Error("WebSocket connection closed."));
+    }
+  }
+
+  async _request(message, data, key) {
+    const request = {
+      method: message === this.get_message ? "GET" : "PATCH",
+      url: this.socket_url,
+      headers: {},
+      body: data,
+    };
+
+    const response = await intercept(this._interceptors, request, sent => this._exchange(message, sent, key));
+    return response.body;
+  }
+
+  async _exchange(message, request, key) {
+    await this.connect();
+
+    const id = makeid(16);
+    const envelope = { message, id, key, data: request.body };
+    if (Object.keys(request.headers).length > 0) envelope.headers = request.headers;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        delete this._pending[id];
+        reject(new Error(`No reply to "${message}" within ${this._config.timeout}ms.`));
+      }, this._config.timeout);
+
+      const reply = data => resolve({ status: 200, headers: NO_HEADERS, body: data });
+      this._pending[id] = { resolve: reply, reject, timer };
+      this._socket.send(JSON.stringify(envelope));
+    });
+  }
+
+  _receive(raw) {
+    let envelope;
+    try {
+      envelope = JSON.parse(raw);
+    } catch (e) {
+      return;
+    }
+
+    if (!envelope || typeof envelope !== "object") return;
+
+    const pending = envelope.id && this._pending[envelope.id];
+    if (pending) {
+      delete this._pending[envelope.id];
+      clearTimeout(pending.timer);
+      if (envelope.error) return pending.reject(envelope.error);
+      return pending.resolve(envelope.data);
+    }
+
+    if (envelope.message !== this.patch_message) return;
+
+    if (envelope.key !== undefined) {
+      const doc = this._documents[envelope.key];
+      if (doc) doc.on_patch(envelope.data || []);
+    } else if (this._on_patch) {
+      this._on_patch(envelope.data || []);
+    }
+  }
+
+  _rejectPending(err) {
+    const ids = Object.keys(this._pending);
+    for (let index = 0; index < ids.length; index++) {
+      const pending = this._pending[ids[index]];
+      clearTimeout(pending.timer);
+      pending.reject(err);
+    }
+    this._pending = {};
+  }
+
+  _reconnect() {
+    // only a started transport needs a live socket, everything else reconnects lazily
+    if ((!this._on_patch && Object.keys(this._documents).length === 0) || this._reconnect_timer) return;
+
+    const delay = Math.min(this._config.reconnect_delay * Math.pow(2, this._attempts), this._config.max_reconnect_delay);
+    this._attempts++;
+
+    this._reconnect_timer = setTimeout(() => {
+      this._reconnect_timer = null;
+      this.connect().catch(() => {});
+    }, delay);
+  }
+}
+
+/**
+ * One document's view of a shared WebsocketTransport.
+ */
+class WebsocketDocument {
+  constructor(socket, key) {
+    this.socket = socket;
+    this.key = key;
+  }
+
+  get() {
+    return this.socket._request(this.socket.get_message, undefined, this.key);
+  }
+
+  patch(patch) {
+    return this.socket._request(this.socket.patch_message, patch, this.key);
+  }
+
+  start(on_object, on_patch) {
+    this.socket._documents[this.key] = { on_object, on_patch };
+    this.socket.connect().catch(() => {});
+  }
+
+  stop() {
+    delete this.socket._documents[this.key];
   }
-}
\ No newline at end of file
+}
@@ -5,6 +5,22 @@
  * @module transports/xmlhttprequest
  */
 
+import { pollChanges } from "./poll";
+import { DEFAULT_RETRY, retryPolicy, withRetry } from "./retry";
+import RevisionTracker, { DEFAULT_REVISIONS, parseRevision, sinceUrl } from "./revisions";
+import { AbortError, ConflictError, HTTPError, NetworkError, TimeoutError } from "../errors";
+import { JSON_PATCH, MERGE_PATCH, CONTENT_TYPE } from "../merge-patch";
+import { intercept } from "./interceptors";
+import { inTurn } from "./fetch";
+
+/**
+ * A patched-sync transport that wraps XMLHttpRequest.
+ *
+ * Like `FetchTransport` it tracks the server's ETag, sending `If-None-Match` on GET and `If-Match` on PATCH,
+ * one PATCH at a time while an ETag is known. It sends patches as JSON Merge Patch when the format is set to
+ * "merge-patch", and tracks the server's revision so that `delta` and polling only download the changes since
+ * it. Requests go through the interceptors added with `use`.
+ */
 export default class XMLHttpRequestTransport {
   constructor(get_url, patch_url, interval) {
     this.get_url = get_url;
@@ -16,48 +32,251 @@ export default class XMLHttpRequestTransport {
       onProgress: null,
       onReadyStateChange: null,
       headers: {},
+      format: JSON_PATCH,
+      revision_header: DEFAULT_REVISIONS.revision_header,
+      since_param: DEFAULT_REVISIONS.since_param,
     };
+
+    this._retry = retryPolicy(DEFAULT_RETRY);
+    this._interceptors = [];
+
+    this.etag = null;
+    this._cached = null;
+    this._revisions = new RevisionTracker();
+    this._patching = null;
+  }
+
+  /**
+   * @returns {Number|null} The last revision of the object on the server that was caught up with, null if it isn't known.
+   */
+  get revision() {
+    return this._revisions.revision;
   }
 
   config(config) {
     if (config.onProgress) this._config.onProgress = config.onProgress;
     if (config.onReadyStateChange) this._config.onReadyStateChange = config.onReadyStateChange;
-    if (config.withCredentials) this.withCredentials = config.withCredentials;
+    if (config.withCredentials !== undefined) this._config.withCredentials = !!config.withCredentials;
     if (config.headers) this._config.headers = config.headers;
+    if (config.format) this._config.format = config.format;
+    if (config.revision_header) this._config.revision_header = config.revision_header;
+    if (config.since_param) this._config.since_param = config.since_param;
+    // changed in place, transports made with `bind` share it
+    Object.assign(this._retry, retryPolicy(this._retry, config));
+  }
+
+  /**
+   * Add an interceptor, which sees every request after the ones added before it, see `FetchTransport.use`.
+   *
+   * @param {Function} interceptor An `async (request, next) => response` function.
+   * @returns {XMLHttpRequestTransport} This transport.
+   */
+  use(interceptor) {
+    if (typeof interceptor !== "function") throw new Error("An interceptor must be a function.");
+
+    this._interceptors.push(interceptor);
+    return this;
+  }
+
+  /**
+   * Perform a GET request, retried according to the retry policy.
+   *
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Cancels the request, it then rejects with an `AbortError`.
+   * @returns {Promise} Resolves with the object, or the last one received when the server answers 304 Not Modified.
+   */
+  async get(options) {
+    return this._request("GET", this.get_url, null, options, true);
+  }
+
+  /**
+   * Get only the changes made on the server since the last known revision, see `FetchTransport.delta`.
+   *
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] Cancels the request, it then rejects with an `AbortError`.
+   * @returns {Promise} Resolves with the JSON Patch of the changes, or null when the whole object has to be fetched with `get`.
+   */
+  async delta(options) {
+    const since = this._revisions.revision;
+    if (since === null) return null;
+
+    try {
+      return await this._request("GET", this.get_url, null, options, true, since);
+    } catch (error) {
+      if (error.status !== 410) throw error;
+
+      this._revisions.reset(null);
+      return null;
+    }
+  }
+
+  /**
+   * Send a JSON Patch, only retried when the server could not be reached since it may already have been applied.
+   *
+   * @param {Object[]|Object} patch The JSON Patch formatted changes to be sent to the server, or a JSON Merge Patch.
+   * @param {Object} [options]
+   * @param {String} [options.format] The patch format, "json-patch" or "merge-patch", defaults to the configured one.
+   * @param {AbortSignal} [options.signal] Cancels the request, it then rejects with an `AbortError`.
+   * @returns {Promise} Resolves with the server's JSON Patch response, rejects with a `ConflictError` on 412.
+   */
+  async patch(patch, options) {
+    return inTurn(this, () => this._request("PATCH", this.patch_url, patch, options, false));
+  }
+
+  /**
+   * Make a transport for another document, sharing this one's config and retry policy.
+   *
+   * Used by `PatchedSyncStore`, which fills the URL templates for every document it loads.
+   *
+   * @param {String} key The document key, unused since the URLs already identify the document.
+   * @param {String} get_url The GET URL of the document.
+   * @param {String} patch_url The PATCH URL of the document.
+   * @returns {XMLHttpRequestTransport} The new transport.
+   */
+  bind(key, get_url, patch_url) {
+    const bound = new XMLHttpRequestTransport(get_url, patch_url, this.interval);
+    bound._config = this._config;
+    bound._retry = this._retry;
+    bound._interceptors = this._interceptors;
+    return bound;
   }
 
-  async get() {
-    return transport("GET", this.get_url, null, this._config);
+  /**
+   * Start polling the GET URL for changes made on the server.
+   *
+   * @param {Function} on_object Called with the full object after a poll that had to get it whole.
+   * @param {Function} [on_patch] Called with the JSON Patch of the changes after a poll that caught up from the revision.
+   * @param {Function} [on_error] Called with the error when a poll fails.
+   */
+  start(on_object, on_patch, on_error) {
+    this.stop();
+    this._stop = pollChanges(this, on_object, on_patch, on_error);
   }
 
-  async patch(patch) {
-    return transport("PATCH", this.patch_url, patch, this._config);
+  /**
+   * Stop polling.
+   */
+  stop() {
+    if (this._stop) this._stop();
+    this._stop = null;
+  }
+
+  async _request(method, url, body, options, idempotent, since) {
+    const signal = options && options.signal;
+    const delta = since !== undefined;
+    if (delta) url = sinceUrl(url, this._config.since_param, since);
+
+    const cached = method === "GET" && !delta ? this._cached : null;
+    const etag = method === "PATCH" ? this.etag : null;
+
+    const headers = Object.assign({}, this._config.headers);
+    if (cached) headers["If-None-Match"] = cached.etag;
+    if (etag) headers["If-Match"] = etag;
+    const opts = Object.assign({}, this._config);
+    if (options && options.format) opts.format = options.format;
+
+    let json = null;
+    if (body) {
+      try {
+        json = JSON.stringify(body);
+      } catch (e) {
+        throw { error: "Body must be JSON." };
+      }
+    }
+
+    const send = request =>
+      transport(request.method, request.url, request.body, request.headers, opts, etag, this._retry.timeout, signal);
+    const response = await withRetry(
+      () => intercept(this._interceptors, { method: method, url: url, headers: headers, body: json }, send),
+      this._retry,
+      idempotent,
+      signal
+    );
+
+    const header = name => (response.headers ? response.headers.get(name) : null);
+    const revision = parseRevision(header(this._config.revision_header));
+    if (response.status === 304 && cached) {
+      this._revisions.reset(revision);
+      return JSON.parse(JSON.stringify(cached.object));
+    }
+
+    this.etag = header("ETag");
+    if (delta) {
+      if (Array.isArray(response.body)) return this._revisions.caughtUp(response.body, revision);
+
+      this._revisions.reset(null);
+      return null;
+    }
+
+    if (method === "GET") {
+      this._cached = this.etag ? { etag: this.etag, object: response.body } : null;
+      this._revisions.reset(revision);
+    } else {
+      this._revisions.patched(revision);
+    }
+
+    return response.body;
   }
 }
 
-const transport = (method, url, body, opts) => {
+const transport = (method, url, body, headers, opts, etag, timeout, signal) => {
   return new Promise((resolve, reject) => {
     const xhr = new XMLHttpRequest();
 
+    const aborted = () => xhr.abort();
+    const done = () => {
+      if (signal) signal.removeEventListener('abort', aborted);
+    };
+
     xhr.addEventListener('load', function () {
+      done();
+      const response_headers = { get: name => xhr.getResponseHeader(name) };
+      if (this.status === 304 || this.status === 204) {
+        return resolve({ status: this.status, headers: response_headers });
+      }
+
+      let response;
       try {
-        const response = JSON.parse(this.responseText);
+        response = JSON.parse(this.responseText);
+      } catch (e) {
+        if (this.status === 412) {
+          return reject(new ConflictError(etag, this.responseText));
+        }
 
         if (this.status > 399) {
-          return reject(response);
+          return reject(new HTTPError(this.status, this.responseText));
         }
 
-        return resolve(response);
-      } catch (e) {
-        reject({
+        return reject({
           error: 'Textual response, not JSON',
           message: this.responseText
         });
       }
+
+      if (this.status === 412) {
+        return reject(new ConflictError(etag, response));
+      }
+
+      if (this.status > 399) {
+        return reject(new HTTPError(this.status, response));
+      }
+
+      return resolve({ status: this.status, headers: response_headers, body: response });
     });
 
-    xhr.addEventListener('error', function (err) {
-      reject(this, err);
+    xhr.addEventListener('error', function () {
+      done();
+      reject(new NetworkError());
+    });
+
+    xhr.addEventListener('timeout', function () {
+      done();
+      reject(new TimeoutError(timeout));
+    });
+
+    xhr.addEventListener('abort', function () {
+      done();
+      reject(new AbortError());
     });
 
     if (opts && opts.onProgress) {
@@ -70,27 +289,23 @@ const transport = (method, url, body, opts) => {
 
     xhr.withCredentials = opts.withCredentials;
     xhr.open(method, url);
+    if (timeout) xhr.timeout = timeout;
 
     xhr.setRequestHeader('Accept', 'application/json');
-    xhr.setRequestHeader('Content-Type', 'application/json');
+    const merging = method === 'PATCH' && opts.format === MERGE_PATCH;
+    xhr.setRequestHeader('Content-Type', merging ? CONTENT_TYPE : 'application/json');
 
-    for (const key in opts.headers) {
-      xhr.setRequestHeader(key, opts.headers[key]);
+    for (const key in headers) {
+      xhr.setRequestHeader(key, headers[key]);
     }
 
-    if (body) {
-      try {
-        const json = JSON.stringify(body);
-      } catch (e) {
-        // abandon the request
-        xhr = null;
-
-        return reject({
-          error: 'Body must be JSON.'
-        });
-      }
+    if (signal) {
+      if (signal.aborted) return reject(new AbortError());
+      signal.addEventListener('abort', aborted);
+    }
 
-      xhr.send(JSON.stringify(body));
+    if (body) {
+      xhr.send(body);
     } else {
       xhr.send();
     }
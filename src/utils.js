@@ -0,0 +1,21 @@
+/**
+ * Small helpers shared across patched-sync modules.
+ *
+ * @author Joe Mills
+ * @module utils
+ */
+
+/**
+ * Generate a random alphanumeric identifier.
+ * @param {Number} length The number of characters to generate.
+ * @returns {String} The identifier.
+ */
+export const makeid = length => {
+  var result = "";
+  var characters = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  var charactersLength = characters.length;
+  for (var i = 0; i < length; i++) {
+    result += characters.charAt(Math.floor(Math.random() * charactersLength));
+  }
+  return result;
+};
@@ -0,0 +1,178 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { PatchedSync, BroadcastTransport, ConflictError } from "../";
+import TestTransport from "./mocks/test-transport";
+import { TestBroadcastChannel, TestLocks } from "./mocks/test-tabs";
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe("Broadcast transport", function () {
+  let locks;
+  let tabs;
+
+  // a tab with its own transport to the server, which only the leader should use
+  const tab = (server, calls) => {
+    const transport = new TestTransport(
+      () => {
+        calls.push("get");
+        return JSON.parse(JSON.stringify(server.object));
+      },
+      patch => {
+        calls.push("patch");
+        if (server.refuse) throw new ConflictError('"1"', {});
+        server.object = JSON.parse(JSON.stringify(server.apply(patch, server.object)));
+        // nothing changed on top of the patch
+        return Array.isArray(patch) ? [] : undefined;
+      }
+    );
+    const shared = new BroadcastTransport(transport, "orders/1", {
+      BroadcastChannel: TestBroadcastChannel,
+      locks: locks,
+    });
+    tabs.push(shared);
+    return shared;
+  };
+
+  beforeEach(function () {
+    TestBroadcastChannel.channels = [];
+    locks = new TestLocks();
+    tabs = [];
+  });
+
+  afterEach(function () {
+    tabs.forEach(shared => shared.close());
+  });
+
+  it("should elect one leader and make every request through it", async function () {
+    const server = { object: { a: "a" }, apply: patch => ({ a: patch[0].value }) };
+    const first_calls = [];
+    const second_calls = [];
+    const first = tab(server, first_calls);
+    const second = tab(server, second_calls);
+    await wait(5);
+
+    expect(first.leading).to.be.true;
+    expect(second.leading).to.be.false;
+    expect(second.leader).to.equal(first.tab_id);
+
+    expect(await second.get()).to.deep.equal({ a: "a" });
+    expect(await second.patch([{ op: "replace", path: "/a", value: "b" }])).to.deep.equal([]);
+    expect(first_calls).to.deep.equal(["get", "patch"]);
+    expect(second_calls).to.deep.equal([]);
+  });
+
+  it("should apply a change one tab made in the other tabs", async function () {
+    const server = { object: { a: "a", b: "b" } };
+    server.apply = (patch, object) => Object.assign(object, { a: patch[1].value });
+    const first = new PatchedSync({ transport: tab(server, []) });
+    const second = new PatchedSync({ transport: tab(server, []) });
+    await wait(5);
+
+    await first.fetch();
+    await second.fetch();
+    first.start();
+    second.start();
+    await wait(5);
+
+    const changes = [];
+    first.on("remote:change", (object, patch) => changes.push(patch));
+    await second.change({ a: "c" });
+    await wait(5);
+
+    expect(first.get()).to.deep.equal({ a: "c", b: "b" });
+    expect(changes).to.deep.equal([[{ op: "replace", path: "/a", value: "c" }]]);
+  });
+
+  it("should share merge patches as well", async function () {
+    const server = { object: { a: "a", b: "b" }, apply: (patch, object) => Object.assign(object, patch) };
+    const first = new PatchedSync({ transport: tab(server, []), format: "merge-patch" });
+    const second = new PatchedSync({ transport: tab(server, []), format: "merge-patch" });
+    await wait(5);
+
+    await first.fetch();
+    await second.fetch();
+    first.start();
+    await wait(5);
+
+    await second.change({ a: "c" });
+    await wait(5);
+
+    expect(server.object).to.deep.equal({ a: "c", b: "b" });
+    expect(first.get()).to.deep.equal({ a: "c", b: "b" });
+  });
+
+  it("should pass the server's errors on to the tab that asked", async function () {
+    const server = { object: {}, refuse: true };
+    tab(server, []);
+    const second = tab(server, []);
+    await wait(5);
+
+    let error;
+    try {
+      await second.patch([{ op: "add", path: "/a", value: "a" }]);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).to.be.an.instanceof(ConflictError);
+    expect(error.etag).to.equal('"1"');
+  });
+
+  it("should stop listening to a request's signal once it is answered", async function () {
+    const server = { object: { a: "a" }, apply: patch => ({ a: patch[0].value }) };
+    tab(server, []);
+    const second = tab(server, []);
+    await wait(5);
+
+    const controller = new AbortController();
+    const added = sinon.spy(controller.signal, "addEventListener");
+    const removed = sinon.spy(controller.signal, "removeEventListener");
+
+    await second.get({ signal: controller.signal });
+    await second.patch([{ op: "replace", path: "/a", value: "b" }], { signal: controller.signal });
+
+    expect(added.callCount).to.equal(2);
+    expect(added.firstCall.args[2]).to.deep.equal({ once: true });
+    expect(removed.args.map(args => args[1])).to.deep.equal(added.args.map(args => args[1]));
+  });
+
+  it("should hand over to the next tab when the leader closes", async function () {
+    const server = { object: { a: "a" } };
+    const first = tab(server, []);
+    const second_calls = [];
+    const second = tab(server, second_calls);
+    const third = tab(server, []);
+    await wait(5);
+
+    first.close();
+    await wait(5);
+
+    expect(second.leading).to.be.true;
+    expect(third.leader).to.equal(second.tab_id);
+    expect(await third.get()).to.deep.equal({ a: "a" });
+    expect(second_calls).to.deep.equal(["get"]);
+  });
+
+  it("should wrap the transport of a PatchedSync in cross-tab mode", function () {
+    const patcher = new PatchedSync({ transport: "fetch", get_url: "/orders/1", patch_url: "/orders/1", tabs: true });
+    tabs.push(patcher.transport);
+
+    expect(patcher.transport).to.be.an.instanceof(BroadcastTransport);
+    expect(patcher.transport.channel).to.equal("patched-sync:/orders/1");
+    expect(() => new PatchedSync({ transport: new TestTransport(), tabs: true })).to.throw(/channel name/);
+  });
+
+  it("should work on its own without the Web Locks API", async function () {
+    const calls = [];
+    const transport = new TestTransport(() => {
+      calls.push("get");
+      return { a: "a" };
+    });
+    const shared = new BroadcastTransport(transport, "orders/1", { BroadcastChannel: TestBroadcastChannel });
+    tabs.push(shared);
+
+    expect(shared.leading).to.be.true;
+    expect(await shared.get()).to.deep.equal({ a: "a" });
+    expect(calls).to.deep.equal(["get"]);
+  });
+});
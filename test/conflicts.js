@@ -0,0 +1,81 @@
+import { expect } from "chai";
+import { merge, settle } from "../src/conflicts";
+
+describe("Conflicts", function () {
+  describe("merge", function () {
+    it("should take the server state when there are no local changes", function () {
+      const result = merge({ a: "a" }, { a: "a" }, { a: "b" });
+
+      expect(result.rebased).to.be.false;
+      expect(result.object).to.deep.equal({ a: "b" });
+    });
+
+    it("should keep local changes that don't collide", function () {
+      const result = merge({ a: "a", b: "b" }, { a: "local a", b: "b" }, { a: "a", b: "server b" });
+
+      expect(result.rebased).to.be.true;
+      expect(result.object).to.deep.equal({ a: "local a", b: "server b" });
+    });
+
+    it("should rebase local array changes over server inserts", function () {
+      const result = merge({ items: ["a", "b", "c"] }, { items: ["a", "B", "c"] }, { items: ["z", "a", "b", "c"] });
+
+      expect(result.object.items).to.deep.equal(["z", "a", "B", "c"]);
+    });
+
+    it("should let the server win conflicts by default", function () {
+      const result = merge({ a: "a" }, { a: "local a" }, { a: "server a" });
+
+      expect(result.object).to.deep.equal({ a: "server a" });
+    });
+
+    it("should let the local change win with local-wins", function () {
+      const result = merge({ a: "a" }, { a: "local a" }, { a: "server a" }, "local-wins");
+
+      expect(result.object).to.deep.equal({ a: "local a" });
+    });
+
+    it("should pass conflicts to a resolver function", function () {
+      let conflict = null;
+      const result = merge({ n: 1 }, { n: 2 }, { n: 5 }, c => {
+        conflict = c;
+        return [{ op: "replace", path: c.path, value: c.server_value + c.local_value }];
+      });
+
+      expect(conflict.path).to.equal("/n");
+      expect(conflict.local_value).to.equal(2);
+      expect(conflict.server_value).to.equal(5);
+      expect(conflict.remote[0].op).to.equal("replace");
+      expect(result.object).to.deep.equal({ n: 7 });
+    });
+
+    it("should use the most specific per-path rule", function () {
+      const result = merge(
+        { title: "t", items: { one: { note: "n", status: "s" } } },
+        { title: "local t", items: { one: { note: "local n", status: "local s" } } },
+        { title: "server t", items: { one: { note: "server n", status: "server s" } } },
+        {
+          "": "local-wins",
+          "/items/*/status": "server-wins",
+        }
+      );
+
+      expect(result.object).to.deep.equal({ title: "local t", items: { one: { note: "local n", status: "server s" } } });
+    });
+  });
+
+  describe("settle", function () {
+    it("should skip operations that no longer apply", function () {
+      const result = settle(
+        [
+          { op: "test", path: "/a", value: "not a" },
+          { op: "remove", path: "/missing" },
+          { op: "replace", path: "/a", value: "b" },
+        ],
+        { a: "a" }
+      );
+
+      expect(result).to.deep.equal({ a: "b" });
+    });
+  });
+});
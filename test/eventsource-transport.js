@@ -0,0 +1,124 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { PatchedSync, EventSourceTransport } from "../";
+import TestEventSource from "./mocks/test-event-source";
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe("EventSource transport", function () {
+  beforeEach(function () {
+    TestEventSource.instances = [];
+  });
+
+  describe("construction", function () {
+    it("should properly construct an eventsource transport", function () {
+      const transport = new EventSourceTransport("/sse/test/1", "/sse/test/1", "/sse/test/1/events");
+
+      expect(typeof transport.config).to.equal("function");
+      expect(typeof transport.get).to.equal("function");
+      expect(typeof transport.patch).to.equal("function");
+      expect(typeof transport.start).to.equal("function");
+      expect(typeof transport.stop).to.equal("function");
+      expect(transport.get_url).to.equal("/sse/test/1");
+      expect(transport.patch_url).to.equal("/sse/test/1");
+      expect(transport.events_url).to.equal("/sse/test/1/events");
+    });
+
+    it("should be selectable as the sse transport", function () {
+      const patched_sync = new PatchedSync({
+        transport: "sse",
+        get_url: "/sse/test/1",
+        patch_url: "/sse/test/1",
+        events_url: "/sse/test/1/events",
+      });
+
+      expect(patched_sync.transport instanceof EventSourceTransport).to.be.true;
+    });
+  });
+
+  describe("server pushed patches", function () {
+    it("should apply patches from the stream to PatchedSync", async function () {
+      const patched_sync = new PatchedSync(
+        {
+          transport: "sse",
+          get_url: "/sse/test/1",
+          patch_url: "/sse/test/1",
+          events_url: "/sse/test/1/events",
+        },
+        { a: "a" }
+      );
+      patched_sync.transport.config({ EventSource: TestEventSource, event: "patch" });
+
+      let changes = 0;
+      patched_sync.on("remote:change", () => changes++);
+      patched_sync.start();
+      await wait(5);
+
+      TestEventSource.instances[0].serverSend("patch", [{ op: "replace", path: "/a", value: "pushed" }], "1");
+
+      expect(patched_sync.get().a).to.equal("pushed");
+      expect(changes).to.equal(1);
+      patched_sync.stop();
+    });
+
+    it("should reopen a failed stream from the last event id", async function () {
+      const transport = new EventSourceTransport("/sse/test/1", "/sse/test/1", "/sse/test/1/events?v=2");
+      transport.config({ EventSource: TestEventSource, reconnect_delay: 5 });
+
+      const patches = [];
+      let errors = 0;
+      transport.start(
+        () => {},
+        patch => patches.push(patch),
+        () => errors++
+      );
+      await wait(5);
+
+      TestEventSource.instances[0].serverSend("message", [], "41");
+      TestEventSource.instances[0].fail();
+      expect(errors).to.equal(1);
+      await wait(20);
+
+      expect(TestEventSource.instances.length).to.equal(2);
+      expect(TestEventSource.instances[1].url).to.equal("/sse/test/1/events?v=2&lastEventId=41");
+      TestEventSource.instances[1].serverSend("message", [{ op: "add", path: "/b", value: "b" }], "42");
+
+      expect(patches.length).to.equal(2);
+      expect(transport.last_event_id).to.equal("42");
+      transport.stop();
+    });
+
+    it("should keep the revision going with numbered changes and forget it with bare patches", async function () {
+      const fetch_stub = sinon.stub(global, "fetch").resolves({
+        status: 200,
+        headers: { get: name => (name === "X-Revision" ? "5" : null) },
+        json: () => Promise.resolve({ a: "a" }),
+      });
+      const transport = new EventSourceTransport("/sse/test/1", "/sse/test/1", "/sse/test/1/events");
+      transport.config({ EventSource: TestEventSource });
+
+      const patches = [];
+      try {
+        await transport.get();
+      } finally {
+        fetch_stub.restore();
+      }
+      transport.start(
+        () => {},
+        patch => patches.push(patch)
+      );
+      await wait(5);
+
+      const replace = [{ op: "replace", path: "/a", value: "b" }];
+      TestEventSource.instances[0].serverSend("message", { revision: 6, patch: replace }, "6");
+      TestEventSource.instances[0].serverSend("message", { revision: 6, patch: replace }, "6");
+      expect(patches).to.deep.equal([replace]);
+      expect(transport.revision).to.equal(6);
+
+      TestEventSource.instances[0].serverSend("message", replace, "7");
+      expect(patches).to.deep.equal([replace, replace]);
+      expect(transport.revision).to.be.null;
+      transport.stop();
+    });
+  });
+});
@@ -1,6 +1,16 @@
 import { expect } from "chai";
 import FetchTransport from "../src/transports/fetch";
+import PatchedSync from "../src/patched-sync";
 import sinon from "sinon";
+import { AbortError, ConflictError, HTTPError, TimeoutError } from "../src/errors";
+import { bearer } from "../src/transports/interceptors";
+
+const respond = (status, body, headers) => ({
+  status: status,
+  headers: { get: name => (headers && headers[name]) || null },
+  json: () => Promise.resolve(body),
+  text: () => Promise.resolve(body === undefined ? "" : JSON.stringify(body)),
+});
 
 describe("Fetch transport", function () {
   describe("construction", function () {
@@ -22,11 +32,360 @@ describe("Fetch transport", function () {
 
       const config = transport._config;
       expect(config.mode).to.equal("cors");
-      expect(config.cache).to.equal("no-cache");
+      expect(config.cache).to.equal("no-store");
       expect(config.credentials).to.equal("same-origin");
       expect(config.headers["Content-Type"]).to.equal("application/json");
       expect(config.redirect).to.equal("follow");
       expect(config.referrer).to.equal("no-referrer");
     });
   });
-});
\ No newline at end of file
+
+  describe("retries, timeouts and cancellation", function () {
+    let fetch_stub;
+
+    beforeEach(function () {
+      fetch_stub = sinon.stub(global, "fetch");
+    });
+
+    afterEach(function () {
+      fetch_stub.restore();
+    });
+
+    it("should retry a GET after a network failure", async function () {
+      fetch_stub.onFirstCall().rejects(new TypeError("Failed to fetch"));
+      fetch_stub.onSecondCall().resolves(respond(200, { a: "a" }));
+
+      const transport = new FetchTransport("/get", "/patch");
+      transport.config({ delay: 1 });
+
+      expect(await transport.get()).to.deep.equal({ a: "a" });
+      expect(fetch_stub.callCount).to.equal(2);
+    });
+
+    it("should retry a GET on a server error but not a PATCH", async function () {
+      fetch_stub.resolves(respond(503, {}));
+
+      const transport = new FetchTransport("/get", "/patch");
+      transport.config({ delay: 1, retries: 2 });
+
+      let error;
+      try {
+        await transport.get();
+      } catch (e) {
+        error = e;
+      }
+      expect(error.status).to.equal(503);
+      expect(fetch_stub.callCount).to.equal(3);
+
+      fetch_stub.resetHistory();
+      try {
+        await transport.patch([{ op: "add", path: "/a", value: "a" }]);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.status).to.equal(503);
+      expect(fetch_stub.callCount).to.equal(1);
+    });
+
+    it("should not retry a request the server refused", async function () {
+      fetch_stub.resolves(respond(404, { error: "missing" }));
+
+      const transport = new FetchTransport("/get", "/patch");
+      transport.config({ delay: 1 });
+
+      let error;
+      try {
+        await transport.get();
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(HTTPError);
+      expect(error.status).to.equal(404);
+      expect(error.body).to.deep.equal({ error: "missing" });
+      expect(fetch_stub.callCount).to.equal(1);
+    });
+
+    it("should time out a request that never returns", async function () {
+      fetch_stub.returns(new Promise(() => {}));
+
+      const transport = new FetchTransport("/get", "/patch");
+      transport.config({ timeout: 10, retries: 0 });
+
+      let error;
+      try {
+        await transport.get();
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(TimeoutError);
+      expect(fetch_stub.firstCall.args[1].signal.aborted).to.be.true;
+    });
+
+    it("should cancel a request when its signal is aborted", async function () {
+      fetch_stub.returns(new Promise(() => {}));
+
+      const transport = new FetchTransport("/get", "/patch");
+      const controller = new AbortController();
+      const request = transport.patch([], { signal: controller.signal });
+      controller.abort();
+
+      let error;
+      try {
+        await request;
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an.instanceof(AbortError);
+      expect(fetch_stub.callCount).to.equal(1);
+    });
+  });
+
+  describe("ETags", function () {
+    let fetch_stub;
+
+    beforeEach(function () {
+      fetch_stub = sinon.stub(global, "fetch");
+    });
+
+    afterEach(function () {
+      fetch_stub.restore();
+    });
+
+    it("should revalidate with If-None-Match and reuse the object on 304", async function () {
+      fetch_stub.onFirstCall().resolves(respond(200, { a: "a" }, { ETag: '"1"' }));
+      fetch_stub.onSecondCall().resolves(respond(304, undefined, { ETag: '"1"' }));
+
+      const transport = new FetchTransport("/get", "/patch");
+
+      expect(await transport.get()).to.deep.equal({ a: "a" });
+      expect(fetch_stub.firstCall.args[1].headers["If-None-Match"]).to.be.undefined;
+
+      expect(await transport.get()).to.deep.equal({ a: "a" });
+      expect(fetch_stub.secondCall.args[1].headers["If-None-Match"]).to.equal('"1"');
+    });
+
+    it("should send If-Match and turn a 412 into a ConflictError", async function () {
+      fetch_stub.onFirstCall().resolves(respond(200, { a: "a" }, { ETag: '"1"' }));
+      fetch_stub.onSecondCall().resolves(respond(200, [], { ETag: '"2"' }));
+      fetch_stub.onThirdCall().resolves(respond(412, { revision: 3 }));
+
+      const transport = new FetchTransport("/get", "/patch");
+      await transport.get();
+
+      await transport.patch([{ op: "replace", path: "/a", value: "b" }]);
+      expect(fetch_stub.secondCall.args[1].headers["If-Match"]).to.equal('"1"');
+      expect(transport.etag).to.equal('"2"');
+
+      let error;
+      try {
+        await transport.patch([{ op: "replace", path: "/a", value: "c" }]);
+      } catch (e) {
+        error = e;
+      }
+      expect(fetch_stub.thirdCall.args[1].headers["If-Match"]).to.equal('"2"');
+      expect(error).to.be.an.instanceof(ConflictError);
+      expect(error.status).to.equal(412);
+      expect(error.etag).to.equal('"2"');
+      expect(error.body).to.deep.equal({ revision: 3 });
+    });
+
+    it("should send pipelined PATCHes one at a time, each with the ETag the one before got back", async function () {
+      let version = 1;
+      let in_flight = 0;
+      const matched = [];
+      fetch_stub.callsFake(async (url, init) => {
+        if (init.method === "GET") return respond(200, { a: "a" }, { ETag: `"${version}"` });
+
+        in_flight++;
+        matched.push(in_flight === 1 && init.headers["If-Match"] === `"${version}"`);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        in_flight--;
+        version++;
+        return respond(200, [], { ETag: `"${version}"` });
+      });
+
+      const transport = new FetchTransport("/get", "/patch");
+      const patched_sync = new PatchedSync({ transport: transport, max_in_flight: 3 });
+      await patched_sync.fetch();
+
+      await Promise.all([
+        patched_sync.change({ a: "b" }),
+        patched_sync.change({ a: "c" }),
+        patched_sync.change({ a: "d" }),
+      ]);
+
+      expect(matched).to.deep.equal([true, true, true]);
+      expect(transport.etag).to.equal('"4"');
+      expect(patched_sync.get()).to.deep.equal({ a: "d" });
+    });
+  });
+
+  describe("merge patches", function () {
+    let fetch_stub;
+
+    beforeEach(function () {
+      fetch_stub = sinon.stub(global, "fetch");
+    });
+
+    afterEach(function () {
+      fetch_stub.restore();
+    });
+
+    it("should send merge patches with their content type and accept an empty response", async function () {
+      fetch_stub.resolves(respond(204));
+
+      const transport = new FetchTransport("/get", "/patch");
+      transport.config({ format: "merge-patch" });
+
+      expect(await transport.patch({ a: "b", c: null })).to.be.undefined;
+      expect(fetch_stub.firstCall.args[1].headers["Content-Type"]).to.equal("application/merge-patch+json");
+      expect(fetch_stub.firstCall.args[1].body).to.equal('{"a":"b","c":null}');
+
+      await transport.get();
+      expect(fetch_stub.secondCall.args[1].headers["Content-Type"]).to.equal("application/json");
+    });
+  });
+
+  describe("revisions", function () {
+    let fetch_stub;
+
+    beforeEach(function () {
+      fetch_stub = sinon.stub(global, "fetch");
+    });
+
+    afterEach(function () {
+      fetch_stub.restore();
+    });
+
+    it("should only ask for the changes since the last revision", async function () {
+      fetch_stub.onCall(0).resolves(respond(200, { a: "a" }, { "X-Revision": "5" }));
+      fetch_stub.onCall(1).resolves(
+        respond(200, [{ revision: 6, patch: [{ op: "replace", path: "/a", value: "b" }] }], { "X-Revision": "6" })
+      );
+
+      const transport = new FetchTransport("/get?x=y", "/patch");
+      expect(await transport.delta()).to.be.null;
+      expect(fetch_stub.callCount).to.equal(0);
+
+      await transport.get();
+      expect(transport.revision).to.equal(5);
+
+      expect(await transport.delta()).to.deep.equal([{ op: "replace", path: "/a", value: "b" }]);
+      expect(fetch_stub.secondCall.args[0]).to.equal("/get?x=y&since=5");
+      expect(transport.revision).to.equal(6);
+    });
+
+    it("should skip its own patches when catching up", async function () {
+      const own = [{ op: "add", path: "/items/-", value: "mine" }];
+      const other = [{ op: "add", path: "/items/-", value: "theirs" }];
+      fetch_stub.onCall(0).resolves(respond(200, { items: [] }, { "X-Revision": "1" }));
+      fetch_stub.onCall(1).resolves(respond(200, [], { "X-Revision": "3" }));
+      fetch_stub.onCall(2).resolves(
+        respond(200, [{ revision: 2, patch: other }, { revision: 3, patch: own }], { "X-Revision": "3" })
+      );
+
+      const transport = new FetchTransport("/get", "/patch");
+      await transport.get();
+
+      // someone else's change got in first, that one hasn't been seen yet
+      await transport.patch(own);
+      expect(transport.revision).to.equal(1);
+
+      expect(await transport.delta()).to.deep.equal(other);
+      expect(transport.revision).to.equal(3);
+    });
+
+    it("should give up catching up on a 410", async function () {
+      fetch_stub.onCall(0).resolves(respond(200, { a: "a" }, { "X-Revision": "1" }));
+      fetch_stub.onCall(1).resolves(respond(410, {}));
+
+      const transport = new FetchTransport("/get", "/patch");
+      await transport.get();
+
+      expect(await transport.delta()).to.be.null;
+      expect(transport.revision).to.be.null;
+    });
+
+    it("should poll for the changes once the revision is known", async function () {
+      const removed = [{ op: "remove", path: "/a" }];
+      fetch_stub.onCall(0).resolves(respond(200, { a: "a" }, { "X-Revision": "1" }));
+      fetch_stub.resolves(respond(200, [{ revision: 2, patch: removed }], { "X-Revision": "2" }));
+
+      const transport = new FetchTransport("/get", "/patch", 5);
+      const objects = [];
+      const patches = [];
+      transport.start(object => objects.push(object), patch => patches.push(patch));
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+      transport.stop();
+
+      expect(objects).to.deep.equal([{ a: "a" }]);
+      expect(patches).to.deep.equal([removed]);
+      expect(fetch_stub.secondCall.args[0]).to.equal("/get?since=1");
+    });
+  });
+
+  describe("interceptors", function () {
+    let fetch_stub;
+
+    beforeEach(function () {
+      fetch_stub = sinon.stub(global, "fetch");
+    });
+
+    afterEach(function () {
+      fetch_stub.restore();
+    });
+
+    it("should let interceptors change requests and see responses, in the order they were added", async function () {
+      fetch_stub.resolves(respond(200, { a: "a" }, { ETag: '"1"' }));
+
+      const seen = [];
+      const transport = new FetchTransport("/get", "/patch");
+      transport
+        .use(async (request, next) => {
+          seen.push("outer");
+          const response = await next(Object.assign({}, request, { url: request.url + "?signed=yes" }));
+          seen.push(response.status);
+          return response;
+        })
+        .use((request, next) => {
+          seen.push("inner");
+          request.headers["X-Trace"] = "1";
+          return next(request);
+        });
+
+      expect(await transport.get()).to.deep.equal({ a: "a" });
+      expect(seen).to.deep.equal(["outer", "inner", 200]);
+      expect(fetch_stub.firstCall.args[0]).to.equal("/get?signed=yes");
+      expect(fetch_stub.firstCall.args[1].headers["X-Trace"]).to.equal("1");
+      expect(transport.etag).to.equal('"1"');
+    });
+
+    it("should refresh the token once and retry after a 401", async function () {
+      fetch_stub.callsFake((url, init) =>
+        Promise.resolve(init.headers.Authorization === "Bearer new" ? respond(200, []) : respond(401, {}))
+      );
+
+      let token = "old";
+      let refreshes = 0;
+      const transport = new FetchTransport("/get", "/patch");
+      transport.use(
+        bearer({
+          token: () => token,
+          refresh: async () => {
+            refreshes++;
+            token = "new";
+          },
+        })
+      );
+
+      const patches = [
+        transport.patch([{ op: "add", path: "/a", value: "a" }]),
+        transport.patch([{ op: "add", path: "/b", value: "b" }]),
+      ];
+      expect(await Promise.all(patches)).to.deep.equal([[], []]);
+      expect(refreshes).to.equal(1);
+      expect(fetch_stub.callCount).to.equal(4);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import { expect } from "chai";
+import { apply, diff } from "../src/merge-patch";
+
+describe("Merge patch", function () {
+  describe("apply", function () {
+    it("should merge objects, remove nulls and replace everything else", function () {
+      const document = { a: "a", b: "b", nested: { c: "c" }, list: [1, 2] };
+      const patched = apply({ a: "not a", b: null, nested: { d: "d" }, list: [3] }, document);
+
+      expect(patched).to.deep.equal({ a: "not a", nested: { c: "c", d: "d" }, list: [3] });
+      expect(document.b).to.equal("b");
+    });
+
+    it("should replace the whole document with anything that isn't an object", function () {
+      expect(apply([1], { a: "a" })).to.deep.equal([1]);
+      expect(apply({ a: "a" }, [1])).to.deep.equal({ a: "a" });
+    });
+  });
+
+  describe("diff", function () {
+    it("should produce the merge patch that turns one document into the other", function () {
+      const a = { a: "a", b: "b", nested: { c: "c", d: "d" }, list: [1, 2], same: { e: "e" } };
+      const b = { a: "not a", nested: { c: "c", d: "not d" }, list: [1, 2, 3], same: { e: "e" }, added: { f: 1 } };
+      const merge_patch = diff(a, b);
+
+      expect(merge_patch).to.deep.equal({
+        a: "not a",
+        b: null,
+        nested: { d: "not d" },
+        list: [1, 2, 3],
+        added: { f: 1 },
+      });
+      expect(apply(merge_patch, a)).to.deep.equal(b);
+    });
+
+    it("should refuse to set a member to null", function () {
+      expect(() => diff({ a: "a" }, { a: null })).to.throw(/null/);
+      expect(diff({ a: null }, { a: null, b: 1 })).to.deep.equal({ b: 1 });
+    });
+
+    it("should refuse nulls nested in a value that is sent whole", function () {
+      expect(() => diff({}, { x: { y: null } })).to.throw(/"\/x\/y"/);
+      expect(() => diff({ x: 1 }, { x: { y: { z: null } } })).to.throw(/"\/x\/y\/z"/);
+      expect(() => diff(1, { y: null })).to.throw(/null/);
+      expect(diff({}, { x: { list: [null] } })).to.deep.equal({ x: { list: [null] } });
+    });
+
+    it("should not mistake inherited properties for members", function () {
+      expect(diff({}, { constructor: 1 })).to.deep.equal({ constructor: 1 });
+      expect(diff({ toString: "x" }, {})).to.deep.equal({ toString: null });
+    });
+  });
+});
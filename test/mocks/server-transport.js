@@ -0,0 +1,60 @@
+/**
+ * A transport that calls the reference server handler in process, for use within unit tests.
+ *
+ * @author Joe Mills
+ * @module test/mocks/server-transport
+ */
+
+import { ConflictError, HTTPError } from "../../src/errors";
+
+/**
+ * Call a handler with a fake request and resolve with what it responded.
+ *
+ * @param {Function} handler The `(req, res, next)` handler.
+ * @param {String} method The request method.
+ * @param {String} url The URL below the mount point.
+ * @param {*} [body] The parsed request body.
+ * @param {Object} [headers] The request headers, lower case.
+ * @returns {Promise<Object>} `{ status, headers, body }`.
+ */
+export const request = (handler, method, url, body, headers) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      end(data) {
+        resolve({ status: this.statusCode, headers: this.headers, body: data ? JSON.parse(data) : undefined });
+      },
+    };
+
+    handler({ method: method, url: url, body: body, headers: headers || {} }, res, reject);
+  });
+
+export default class ServerTransport {
+  constructor(handler, id) {
+    this.handler = handler;
+    this.id = id;
+    this.etag = null;
+  }
+
+  async get() {
+    const res = await request(this.handler, "GET", "/" + this.id);
+    if (res.status > 399) throw new HTTPError(res.status, res.body);
+
+    this.etag = res.headers.ETag;
+    return res.body;
+  }
+
+  async patch(patch) {
+    const headers = this.etag ? { "if-match": this.etag } : {};
+    const res = await request(this.handler, "PATCH", "/" + this.id, patch, headers);
+    if (res.status === 412) throw new ConflictError(this.etag, res.body);
+    if (res.status > 399) throw new HTTPError(res.status, res.body);
+
+    this.etag = res.headers.ETag;
+    return res.body;
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * A fake EventSource for use within unit tests.
+ *
+ * Every instance is recorded on `TestEventSource.instances` so tests can play the server side.
+ *
+ * @author Joe Mills
+ * @module test/mocks/test-event-source
+ */
+
+export default class TestEventSource {
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.readyState = 0;
+    this._listeners = {};
+
+    TestEventSource.instances.push(this);
+    setTimeout(() => {
+      if (this.readyState !== 0) return;
+      this.readyState = 1;
+      if (this.onopen) this.onopen();
+    }, 0);
+  }
+
+  addEventListener(type, fn) {
+    (this._listeners[type] = this._listeners[type] || []).push(fn);
+  }
+
+  /**
+   * Deliver an event to the client as if the server sent it.
+   * @param {String} type The event type.
+   * @param {*} data The data, sent as JSON.
+   * @param {String} [id] The event id.
+   */
+  serverSend(type, data, id) {
+    const listeners = this._listeners[type] || [];
+    listeners.forEach(fn => fn({ type, data: JSON.stringify(data), lastEventId: id || "" }));
+  }
+
+  /**
+   * Fail the stream for good, the way a browser does after an HTTP error.
+   */
+  fail() {
+    this.readyState = 2;
+    if (this.onerror) this.onerror({ type: "error" });
+  }
+
+  close() {
+    this.readyState = 2;
+  }
+}
+
+TestEventSource.instances = [];
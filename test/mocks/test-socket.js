@@ -0,0 +1,45 @@
+/**
+ * A fake WebSocket for use within unit tests.
+ *
+ * Every instance is recorded on `TestSocket.instances` so tests can play the server side.
+ *
+ * @author Joe Mills
+ * @module test/mocks/test-socket
+ */
+
+export default class TestSocket {
+  constructor(url, protocols) {
+    this.url = url;
+    this.protocols = protocols;
+    this.readyState = 0;
+    this.sent = [];
+
+    TestSocket.instances.push(this);
+    setTimeout(() => this.open(), 0);
+  }
+
+  open() {
+    if (this.readyState !== 0) return;
+    this.readyState = 1;
+    if (this.onopen) this.onopen();
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  /**
+   * Deliver a message to the client as if the server sent it.
+   * @param {Object} envelope The message envelope.
+   */
+  serverSend(envelope) {
+    if (this.onmessage) this.onmessage({ data: JSON.stringify(envelope) });
+  }
+
+  close() {
+    this.readyState = 3;
+    if (this.onclose) this.onclose();
+  }
+}
+
+TestSocket.instances = [];
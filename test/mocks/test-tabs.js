@@ -0,0 +1,52 @@
+/**
+ * A fake BroadcastChannel and Web Locks for use within unit tests, every instance being a tab.
+ *
+ * @author Joe Mills
+ * @module test/mocks/test-tabs
+ */
+
+export class TestBroadcastChannel {
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+
+    TestBroadcastChannel.channels.push(this);
+  }
+
+  postMessage(data) {
+    const copy = JSON.parse(JSON.stringify(data));
+    TestBroadcastChannel.channels.forEach(channel => {
+      if (channel === this || channel.name !== this.name) return;
+      setTimeout(() => channel.onmessage && channel.onmessage({ data: copy }), 0);
+    });
+  }
+
+  close() {
+    TestBroadcastChannel.channels = TestBroadcastChannel.channels.filter(channel => channel !== this);
+  }
+}
+
+TestBroadcastChannel.channels = [];
+
+export class TestLocks {
+  constructor() {
+    this._queues = {};
+  }
+
+  request(name, callback) {
+    const queue = this._queues[name] || (this._queues[name] = []);
+
+    return new Promise((resolve, reject) => {
+      const grant = () =>
+        Promise.resolve(callback({ name: name }))
+          .then(resolve, reject)
+          .then(() => {
+            queue.shift();
+            if (queue.length > 0) queue[0]();
+          });
+
+      queue.push(grant);
+      if (queue.length === 1) grant();
+    });
+  }
+}
@@ -20,13 +20,13 @@ export default class TestTransport {
     }
   }
 
-  async patch(patch) {
+  async patch(patch, options) {
     //console.log("Test patch: ", JSON.stringify(patch, null, 2));
 
-    return this.patch_fn(patch);
+    return this.patch_fn(patch, options);
   }
 
-  async get() {
-    return this.get_fn();
+  async get(options) {
+    return this.get_fn(options);
   }
 }
\ No newline at end of file
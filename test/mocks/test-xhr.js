@@ -0,0 +1,87 @@
+/**
+ * A fake XMLHttpRequest for use within unit tests.
+ *
+ * Every instance is recorded on `TestXMLHttpRequest.instances`, and once sent it is handed to
+ * `TestXMLHttpRequest.server`, which plays the server side by calling `respond` or `fail` on it,
+ * or nothing at all for a request that never returns.
+ *
+ * @author Joe Mills
+ * @module test/mocks/test-xhr
+ */
+
+export default class TestXMLHttpRequest {
+  constructor() {
+    this.readyState = 0;
+    this.status = 0;
+    this.responseText = "";
+    this.timeout = 0;
+    this.withCredentials = false;
+    this.request_headers = {};
+    this._response_headers = {};
+    this._listeners = {};
+    this._done = false;
+
+    TestXMLHttpRequest.instances.push(this);
+  }
+
+  addEventListener(type, fn) {
+    (this._listeners[type] = this._listeners[type] || []).push(fn);
+  }
+
+  open(method, url) {
+    this.method = method;
+    this.url = url;
+    this.readyState = 1;
+  }
+
+  setRequestHeader(name, value) {
+    this.request_headers[name] = value;
+  }
+
+  getResponseHeader(name) {
+    return this._response_headers[name] !== undefined ? this._response_headers[name] : null;
+  }
+
+  send(body) {
+    this.body = body;
+    if (this.timeout) setTimeout(() => this._finish("timeout"), this.timeout);
+    setTimeout(() => TestXMLHttpRequest.server(this), 0);
+  }
+
+  abort() {
+    this._finish("abort");
+  }
+
+  /**
+   * Answer the request as if the server did.
+   * @param {Number} status The HTTP status.
+   * @param {*} [body] The body, sent as JSON unless it is a string.
+   * @param {Object} [headers] The response headers.
+   */
+  respond(status, body, headers) {
+    if (this._done) return;
+
+    this.status = status;
+    this.responseText = body === undefined ? "" : typeof body === "string" ? body : JSON.stringify(body);
+    this._response_headers = headers || {};
+    this._finish("load");
+  }
+
+  /**
+   * Fail the request the way a browser does when the server can't be reached.
+   */
+  fail() {
+    this._finish("error");
+  }
+
+  _finish(type) {
+    if (this._done) return;
+
+    this._done = true;
+    this.readyState = 4;
+    (this._listeners[type] || []).forEach(fn => fn.call(this, { type }));
+  }
+}
+
+TestXMLHttpRequest.instances = [];
+TestXMLHttpRequest.server = () => {};
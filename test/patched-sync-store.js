@@ -0,0 +1,284 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { PatchedSyncStore, BroadcastTransport } from "../";
+import TestTransport from "./mocks/test-transport";
+import TestSocket from "./mocks/test-socket";
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A transport whose documents live in `server`, keyed by GET URL.
+ */
+const serverTransport = server => {
+  const transport = {
+    bound: [],
+    gets: 0,
+    bind(key, get_url, patch_url) {
+      transport.bound.push({ key, get_url, patch_url });
+      return new TestTransport(
+        () => {
+          transport.gets++;
+          return server[get_url];
+        },
+        () => []
+      );
+    },
+  };
+  return transport;
+};
+
+describe("PatchedSyncStore", function () {
+  describe("loading", function () {
+    it("should fill the URL templates and share a document between loads", async function () {
+      const transport = serverTransport({ "/orgs/acme/orders/42": { total: 1 } });
+      const store = new PatchedSyncStore({
+        transport: transport,
+        get_url: "/orgs/:org/orders/:id",
+        patch_url: "/orgs/:org/orders/:id/patch",
+        params: { org: "acme" },
+      });
+
+      const [first, second] = await Promise.all([store.load("42"), store.load(42)]);
+
+      expect(first).to.equal(second);
+      expect(first.get()).to.deep.equal({ total: 1 });
+      expect(transport.gets).to.equal(1);
+      expect(transport.bound).to.deep.equal([
+        { key: "42", get_url: "/orgs/acme/orders/42", patch_url: "/orgs/acme/orders/42/patch" },
+      ]);
+      expect(store.get("42")).to.equal(first);
+      expect(store.keys()).to.deep.equal(["42"]);
+    });
+
+    it("should use a given object instead of fetching", async function () {
+      const transport = serverTransport({});
+      const store = new PatchedSyncStore({ transport: transport, get_url: "/orders/:id", patch_url: "/orders/:id" });
+
+      let loaded = null;
+      store.on("doc:load", (key, object) => (loaded = { key, object }));
+
+      const doc = await store.load("7", { total: 3 });
+
+      expect(doc.get()).to.deep.equal({ total: 3 });
+      expect(transport.gets).to.equal(0);
+      expect(loaded).to.deep.equal({ key: "7", object: { total: 3 } });
+    });
+
+    it("should forget a document that failed to load", async function () {
+      const transport = serverTransport({});
+      transport.bind = () =>
+        new TestTransport(() => {
+          throw new Error("not found");
+        });
+      const store = new PatchedSyncStore({ transport: transport, get_url: "/orders/:id", patch_url: "/orders/:id" });
+
+      let error;
+      try {
+        await store.load("1");
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal("not found");
+      expect(store.get("1")).to.be.undefined;
+    });
+  });
+
+  describe("syncing", function () {
+    it("should poll every document in one loop and fire doc:change", async function () {
+      const server = { "/orders/1": { total: 1 }, "/orders/2": { total: 2 } };
+      const transport = serverTransport(server);
+      const store = new PatchedSyncStore({
+        transport: transport,
+        get_url: "/orders/:id",
+        patch_url: "/orders/:id",
+        interval: 10,
+      });
+
+      const changes = [];
+      store.on("doc:change", (key, object, patch) => changes.push({ key, object }));
+
+      await store.load("1");
+      await store.load("2");
+      store.start();
+
+      server["/orders/2"] = { total: 20 };
+      await wait(25);
+      store.stop();
+
+      expect(changes[0]).to.deep.equal({ key: "2", object: { total: 20 } });
+      expect(store.get("1").get()).to.deep.equal({ total: 1 });
+      expect(transport.gets).to.be.at.least(4);
+    });
+
+    it("should only poll for the changes since a document's revision when its transport can", async function () {
+      const server = { "/orders/1": { total: 1 } };
+      const transport = serverTransport(server);
+      // no revision until the document was loaded whole
+      const deltas = [null];
+      const bind = transport.bind;
+      transport.bind = (key, get_url, patch_url) => {
+        const bound = bind(key, get_url, patch_url);
+        bound.delta = async () => (deltas.length > 0 ? deltas.shift() : []);
+        return bound;
+      };
+      const store = new PatchedSyncStore({
+        transport: transport,
+        get_url: "/orders/:id",
+        patch_url: "/orders/:id",
+        interval: 10,
+      });
+
+      const changes = [];
+      store.on("doc:change", (key, object, patch) => changes.push({ key, object, patch }));
+
+      await store.load("1");
+      deltas.push([{ op: "replace", path: "/total", value: 20 }]);
+      store.start();
+      await wait(35);
+      store.stop();
+
+      expect(changes).to.deep.equal([
+        { key: "1", object: { total: 20 }, patch: [{ op: "replace", path: "/total", value: 20 }] },
+      ]);
+      expect(transport.gets).to.equal(1);
+    });
+
+    it("should report local changes as doc:change too", async function () {
+      const transport = serverTransport({ "/orders/1": { total: 1 } });
+      const store = new PatchedSyncStore({ transport: transport, get_url: "/orders/:id", patch_url: "/orders/:id" });
+
+      let change = null;
+      store.on("doc:change", (key, object) => (change = { key, object }));
+
+      const doc = await store.load("1");
+      await doc.change({ total: 5 });
+
+      expect(change).to.deep.equal({ key: "1", object: { total: 5 } });
+    });
+
+    it("should share one socket and route pushed patches by key", async function () {
+      TestSocket.instances = [];
+      const store = new PatchedSyncStore({
+        transport: "websocket",
+        socket_url: "ws://localhost/socket",
+        get_message: "get",
+        patch_message: "patch",
+      });
+      store.transport.config({ WebSocket: TestSocket });
+
+      const loading = [store.load("a"), store.load("b")];
+      await wait(5);
+
+      const socket = TestSocket.instances[0];
+      socket.sent.forEach(request => {
+        socket.serverSend({ message: "get", id: request.id, data: { name: request.key } });
+      });
+      const [a, b] = await Promise.all(loading);
+      store.start();
+
+      socket.serverSend({ message: "patch", key: "b", data: [{ op: "replace", path: "/name", value: "bee" }] });
+
+      expect(TestSocket.instances).to.have.lengthOf(1);
+      expect(a.get()).to.deep.equal({ name: "a" });
+      expect(b.get()).to.deep.equal({ name: "bee" });
+
+      store.stop();
+    });
+  });
+
+  describe("eviction", function () {
+    it("should send pending changes before evicting a document", async function () {
+      const sent = [];
+      const transport = {
+        bind: () =>
+          new TestTransport(
+            () => ({ total: 1 }),
+            patch => {
+              sent.push(patch);
+              return [];
+            }
+          ),
+      };
+      const store = new PatchedSyncStore({
+        transport: transport,
+        get_url: "/orders/:id",
+        patch_url: "/orders/:id",
+        batch: 1000,
+      });
+
+      let evicted = null;
+      store.on("doc:evict", key => (evicted = key));
+
+      const doc = await store.load("1");
+      doc.change({ total: 2 });
+
+      expect(await store.evict("1")).to.be.true;
+      expect(sent).to.have.lengthOf(1);
+      expect(evicted).to.equal("1");
+      expect(store.get("1")).to.be.undefined;
+      expect(await store.evict("1")).to.be.false;
+    });
+  });
+
+  describe("shared transport config", function () {
+    let fetch_stub;
+
+    beforeEach(function () {
+      fetch_stub = sinon.stub(global, "fetch").callsFake(() =>
+        Promise.resolve({ status: 200, headers: { get: () => null }, json: () => Promise.resolve({ total: 1 }) })
+      );
+    });
+
+    afterEach(function () {
+      fetch_stub.restore();
+    });
+
+    it("should add the interceptors to the store's transport once", async function () {
+      const seen = [];
+      const store = new PatchedSyncStore({
+        transport: "fetch",
+        get_url: "/orders/:id",
+        patch_url: "/orders/:id",
+        interceptors: [
+          (request, next) => {
+            seen.push(request.url);
+            request.headers["X-Trace"] = "1";
+            return next(request);
+          },
+        ],
+      });
+
+      await Promise.all([store.load("1"), store.load("2")]);
+
+      expect(seen).to.deep.equal(["/orders/1", "/orders/2"]);
+      expect(fetch_stub.firstCall.args[1].headers["X-Trace"]).to.equal("1");
+      expect(() => new PatchedSyncStore({ transport: serverTransport({}), interceptors: [] })).to.throw(/interceptors/);
+    });
+
+    it("should share every document with the other tabs on a channel of its own", async function () {
+      const store = new PatchedSyncStore({
+        transport: "fetch",
+        get_url: "/orders/:id",
+        patch_url: "/orders/:id",
+        tabs: true,
+      });
+
+      const [first, second] = await Promise.all([store.load("1"), store.load("2")]);
+      expect(first.transport).to.be.an.instanceof(BroadcastTransport);
+      expect(first.transport.channel).to.equal("patched-sync:/orders/1");
+      expect(second.transport.channel).to.equal("patched-sync:/orders/2");
+      expect(first.get()).to.deep.equal({ total: 1 });
+
+      await store.evict("1");
+      expect(first.transport._closed).to.be.true;
+      await store.evict("2");
+
+      const named = new PatchedSyncStore({ transport: serverTransport({}), tabs: "orders" });
+      expect((await named.load("3", { total: 3 })).transport.channel).to.equal("orders:3");
+      await named.evict("3");
+
+      expect(() => new PatchedSyncStore({ transport: serverTransport({}), tabs: true })).to.throw(/channel name/);
+    });
+  });
+});
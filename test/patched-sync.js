@@ -1,5 +1,5 @@
 import { expect } from "chai";
-import { PatchedSync } from "../";
+import { PatchedSync, MemoryStore, AbortError, ConflictError, PreconditionError, SchemaError } from "../";
 import TestTransport from "./mocks/test-transport";
 import FetchTransport from "../src/transports/fetch";
 import WebsocketTransport from "../src/transports/websocket";
@@ -18,12 +18,16 @@ describe("PatchedSync", function() {
 
       // ensure API consistency
       expect(typeof patched_sync.on).to.equal("function");
+      expect(typeof patched_sync.once).to.equal("function");
+      expect(typeof patched_sync.off).to.equal("function");
       expect(typeof patched_sync.notify).to.equal("function");
       expect(typeof patched_sync.patch).to.equal("function");
       expect(typeof patched_sync.get).to.equal("function");
       expect(typeof patched_sync.fetch).to.equal("function");
       expect(typeof patched_sync.history).to.equal("function");
       expect(typeof patched_sync.change).to.equal("function");
+      expect(typeof patched_sync.undo).to.equal("function");
+      expect(typeof patched_sync.redo).to.equal("function");
     });
 
     it("should construct a valid PatchedSync object using fetch", function() {
@@ -126,6 +130,15 @@ describe("PatchedSync", function() {
       expect(item.b).to.equal("not b");
       expect(item.c).to.equal("c");
     });
+
+    it("should return a copy of the object", async function() {
+      const patcher = new PatchedSync({ transport: new TestTransport() }, { a: "a" });
+
+      const item = await patcher.patch({ a: "not a" });
+      item.a = "changed outside";
+
+      expect(patcher.get().a).to.equal("not a");
+    });
   });
 
   describe("change", function() {
@@ -432,5 +445,1263 @@ describe("PatchedSync", function() {
       patcher.fetch();
       patcher.change({ a: "not a" });
     });
+
+    it("should only fire path listeners when the path is touched", async function() {
+      const transport = new TestTransport();
+
+      const patcher = new PatchedSync(
+        {
+          transport: transport,
+        },
+        { a: { b: "b" }, c: "c" }
+      );
+
+      const calls = [];
+      patcher.on("patch", "/a/b", (value, ops, path) => calls.push({ value, ops, path }));
+
+      await patcher.change({ c: "not c" });
+      expect(calls.length).to.equal(0);
+
+      await patcher.change({ a: { b: "not b" } });
+      expect(calls.length).to.equal(1);
+      expect(calls[0].value).to.equal("not b");
+      expect(calls[0].path).to.equal("/a/b");
+      expect(calls[0].ops[0].path).to.equal("/a/b");
+    });
+
+    it("should fire path listeners when a parent of the path is replaced", async function() {
+      const transport = new TestTransport();
+
+      const patcher = new PatchedSync(
+        {
+          transport: transport,
+        },
+        { a: { b: "b" } }
+      );
+
+      let value = null;
+      patcher.on("patch", "/a/b", v => (value = v));
+
+      await patcher.patch({ a: "a" });
+      expect(value).to.equal(undefined);
+    });
+
+    it("should match wildcard path listeners once per touched location", function() {
+      const transport = new TestTransport();
+
+      const patcher = new PatchedSync(
+        {
+          transport: transport,
+        },
+        {
+          items: [
+            { status: "draft", name: "one" },
+            { status: "draft", name: "two" },
+            { status: "draft", name: "three" },
+          ],
+        }
+      );
+
+      const calls = [];
+      patcher.on("remote:change", "/items/*/status", (value, ops, path) => calls.push({ value, path }));
+
+      patcher.receive([
+        { op: "replace", path: "/items/0/status", value: "published" },
+        { op: "replace", path: "/items/1/name", value: "not two" },
+        { op: "replace", path: "/items/2/status", value: "archived" },
+      ]);
+
+      expect(calls).to.deep.equal([
+        { value: "published", path: "/items/0/status" },
+        { value: "archived", path: "/items/2/status" },
+      ]);
+    });
+
+    it("should fire path listeners for patches received from the server", function() {
+      const transport = new TestTransport();
+
+      const patcher = new PatchedSync(
+        {
+          transport: transport,
+        },
+        { a: "a", b: "b" }
+      );
+
+      const values = [];
+      patcher.on("remote:change", "/b", value => values.push(value));
+
+      patcher.receive([{ op: "replace", path: "/a", value: "not a" }]);
+      patcher.receive([{ op: "replace", path: "/b", value: "not b" }]);
+
+      expect(values).to.deep.equal(["not b"]);
+    });
+  });
+
+  describe("listener management", function() {
+    it("should stop listening by key or by function with off", async function() {
+      const transport = new TestTransport();
+      const patcher = new PatchedSync({ transport: transport }, { a: "a" });
+
+      let by_key = 0;
+      let by_fn = 0;
+      const counter = () => by_fn++;
+      const key = patcher.on("patch", () => by_key++);
+      patcher.on("*", counter);
+
+      await patcher.change({ a: "b" });
+      expect(by_key).to.equal(1);
+      expect(by_fn).to.equal(2);
+
+      expect(patcher.off(key)).to.be.true;
+      expect(patcher.off(counter)).to.be.true;
+      expect(patcher.off(counter)).to.be.false;
+
+      await patcher.change({ a: "c" });
+      expect(by_key).to.equal(1);
+      expect(by_fn).to.equal(2);
+    });
+
+    it("should only call a once listener a single time", async function() {
+      const transport = new TestTransport();
+      const patcher = new PatchedSync({ transport: transport }, { a: "a" });
+
+      let count = 0;
+      patcher.once("*", () => count++);
+
+      await patcher.change({ a: "b" });
+      await patcher.fetch();
+      expect(count).to.equal(1);
+    });
+
+    it("should keep a once listener with a path until the path is touched", async function() {
+      const transport = new TestTransport();
+      const patcher = new PatchedSync({ transport: transport }, { a: "a", b: "b" });
+
+      const values = [];
+      patcher.once("patch:end", "/b", value => values.push(value));
+
+      await patcher.change({ a: "a1" });
+      await patcher.change({ b: "b1" });
+      await patcher.change({ b: "b2" });
+      expect(values).to.deep.equal(["b1"]);
+    });
+
+    it("should keep calling listeners after one throws and report it as listener:error", async function() {
+      const transport = new TestTransport();
+      const patcher = new PatchedSync({ transport: transport }, { a: "a" });
+
+      const error = new Error("broken listener");
+      let reported = null;
+      let called = false;
+      const key = patcher.on("patch", () => {
+        throw error;
+      });
+      patcher.on("patch", () => (called = true));
+      patcher.on("listener:error", e => (reported = e));
+
+      await patcher.change({ a: "b" });
+
+      expect(called).to.be.true;
+      expect(reported.event).to.equal("patch:end");
+      expect(reported.key).to.equal(key);
+      expect(reported.error).to.equal(error);
+    });
+
+    it("should include error events in wildcard subscriptions", function() {
+      const transport = new TestTransport();
+      const patcher = new PatchedSync({ transport: transport }, { a: "a" });
+
+      const events = [];
+      patcher.on("*:error", () => events.push("*:error"));
+      patcher.on("*", () => events.push("*"));
+
+      patcher.notify("patch:error");
+      patcher.notify("get:end");
+
+      expect(events).to.deep.equal(["*:error", "*", "*"]);
+    });
+
+    it("should refuse to listen to unknown events", function() {
+      const transport = new TestTransport();
+      const patcher = new PatchedSync({ transport: transport }, { a: "a" });
+
+      expect(() => patcher.on("nothing:end", () => {})).to.throw("Unknown event");
+    });
+  });
+
+  describe("history, undo and redo", function() {
+    it("should index history from the most recent change", async function() {
+      const transport = new TestTransport();
+      const patcher = new PatchedSync({ transport: transport }, { a: "a" });
+
+      expect(patcher.history()).to.equal(null);
+
+      await patcher.change({ a: "b" });
+      await patcher.change({ a: "c" });
+
+      expect(patcher.history().slice(-1)[0].value).to.equal("c");
+      expect(patcher.history(0).slice(-1)[0].value).to.equal("c");
+      expect(patcher.history(1).slice(-1)[0].value).to.equal("b");
+      expect(patcher.history(2)).to.equal(null);
+    });
+
+    it("should keep every version with its origin and rebuild the object at any of them", async function() {
+      const transport = new TestTransport(null, patch => {
+        if (patch.some(op => op.value === "refused")) throw { status: 422 };
+        return [{ op: "add", path: "/saved", value: true }];
+      });
+      const patcher = new PatchedSync({ transport: transport }, { a: "a" });
+      const versions = patcher.versions;
+
+      await patcher.change({ a: "b" });
+      patcher.receive([{ op: "add", path: "/c", value: "c" }]);
+      try {
+        await patcher.change({ a: "refused" });
+      } catch (e) {
+        // rolled back
+      }
+
+      expect(versions.version).to.equal(5);
+      const origins = versions.list().map(entry => entry.origin);
+      expect(origins).to.deep.equal(["local", "remote", "remote", "local", "rollback"]);
+      expect(versions.entry(1).instance_id).to.equal(patcher._instance_id);
+      expect(versions.entry(2).instance_id).to.equal(null);
+      expect(typeof versions.entry(1).time).to.equal("number");
+
+      expect(versions.at(0)).to.deep.equal({ a: "a" });
+      expect(versions.at(2)).to.deep.equal({ a: "b", saved: true });
+      expect(versions.at(versions.version)).to.deep.equal(patcher.get());
+      expect(versions.at(versions.last("local").version - 1)).to.deep.equal({ a: "b", saved: true, c: "c" });
+      expect(versions.diff(0, 2)).to.deep.equal([
+        { op: "add", path: "/saved", value: true },
+        { op: "test", path: "/a", value: "a" },
+        { op: "replace", path: "/a", value: "b" },
+      ]);
+    });
+
+    it("should only keep history_depth versions", async function() {
+      const patcher = new PatchedSync({ transport: new TestTransport(), history_depth: 2 }, { n: 0 });
+
+      for (let n = 1; n <= 4; n++) await patcher.change({ n: n });
+
+      expect(patcher.versions.oldest).to.equal(2);
+      expect(patcher.versions.at(2)).to.deep.equal({ n: 2 });
+      expect(() => patcher.versions.at(1)).to.throw(/not kept/);
+      expect(patcher.historyAll()).to.have.lengthOf(2);
+      expect(patcher.history(1).slice(-1)[0].value).to.equal(3);
+    });
+
+    it("should undo and redo local changes through the transport", async function() {
+      const sent = [];
+      const transport = new TestTransport(null, patch => {
+        sent.push(patch);
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport }, { a: "a", b: "b" });
+
+      await patcher.change({ a: "not a" });
+      await patcher.change({ b: "not b" });
+
+      let item = await patcher.undo();
+      expect(item).to.deep.equal({ a: "not a", b: "b" });
+      expect(sent.length).to.equal(3);
+      expect(sent[2].pop()).to.deep.equal({ op: "replace", path: "/b", value: "b" });
+
+      item = await patcher.undo();
+      expect(item).to.deep.equal({ a: "a", b: "b" });
+      expect(patcher.canUndo()).to.be.false;
+      expect(await patcher.undo()).to.equal(null);
+
+      item = await patcher.redo();
+      expect(item).to.deep.equal({ a: "not a", b: "b" });
+      expect(sent.length).to.equal(5);
+
+      await patcher.change({ a: "changed again" });
+      expect(patcher.canRedo()).to.be.false;
+    });
+
+    it("should limit the undo stack to the configured depth", async function() {
+      const transport = new TestTransport();
+      const patcher = new PatchedSync({ transport: transport, undo_depth: 2 }, { a: 0 });
+
+      await patcher.change({ a: 1 });
+      await patcher.change({ a: 2 });
+      await patcher.change({ a: 3 });
+
+      await patcher.undo();
+      const item = await patcher.undo();
+      expect(item.a).to.equal(1);
+      expect(await patcher.undo()).to.equal(null);
+    });
+
+    it("should rebase an undo around changes from the server", async function() {
+      const transport = new TestTransport();
+      const patcher = new PatchedSync({ transport: transport }, { items: ["a", "b", "c"] });
+
+      await patcher.patch({ items: ["a", "B", "c"] });
+      patcher.receive([{ op: "add", path: "/items/0", value: "z" }]);
+
+      const item = await patcher.undo();
+      expect(item.items).to.deep.equal(["z", "a", "b", "c"]);
+    });
+
+    it("should skip a change the server has since overwritten", async function() {
+      const transport = new TestTransport();
+      const patcher = new PatchedSync({ transport: transport }, { a: "a", b: "b" });
+
+      await patcher.change({ a: "not a" });
+      await patcher.change({ b: "not b" });
+      patcher.receive([
+        { op: "test", path: "/b", value: "not b" },
+        { op: "replace", path: "/b", value: "server b" },
+      ]);
+
+      const item = await patcher.undo();
+      expect(item).to.deep.equal({ a: "a", b: "server b" });
+    });
+  });
+
+  describe("offline queue", function() {
+    const offline = () => {
+      throw new TypeError("Failed to fetch");
+    };
+
+    it("should queue patches the transport could not send and replay them in order", async function() {
+      let online = false;
+      const sent = [];
+      const transport = new TestTransport(null, patch => {
+        if (!online) offline();
+        sent.push(patch);
+        return [];
+      });
+      const store = new MemoryStore();
+      const patcher = new PatchedSync({ transport: transport, queue: store, queue_retry: 60000 }, { a: "a", b: "b" });
+
+      const events = [];
+      patcher.on("queue:*", e => events.push(e.pending));
+
+      const item = await patcher.change({ a: "not a" });
+      expect(item.a).to.equal("not a");
+      await patcher.change({ b: "not b" });
+
+      expect(patcher.pending()).to.equal(2);
+      expect((await store.read()).length).to.equal(2);
+      expect(sent.length).to.equal(0);
+
+      online = true;
+      expect(await patcher.replay()).to.equal(0);
+
+      expect(sent.length).to.equal(2);
+      expect(sent[0].slice(-1)[0].path).to.equal("/a");
+      expect(sent[1].slice(-1)[0].path).to.equal("/b");
+      expect(await store.read()).to.deep.equal([]);
+      expect(events).to.deep.equal([1, 2, 2, 1, 0, 0]);
+      expect(patcher.historyAll()).to.deep.equal(sent);
+    });
+
+    it("should reject rather than queue a patch the server refused", async function() {
+      const transport = new TestTransport(null, () => {
+        throw { status: 422 };
+      });
+      const patcher = new PatchedSync({ transport: transport, queue: new MemoryStore() }, { a: "a" });
+
+      let error;
+      try {
+        await patcher.change({ a: "not a" });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.status).to.equal(422);
+      expect(patcher.pending()).to.equal(0);
+    });
+
+    it("should restore queued patches from the store", async function() {
+      const transport = new TestTransport(null, offline);
+      const store = new MemoryStore([
+        {
+          patch: [
+            { op: "test", path: "/a", value: "a" },
+            { op: "replace", path: "/a", value: "queued a" },
+          ],
+        },
+      ]);
+
+      const patcher = new PatchedSync({ transport: transport, queue: store, queue_retry: 60000 }, { a: "a" });
+      await patcher.replay();
+
+      expect(patcher.pending()).to.equal(1);
+      expect(patcher.get().a).to.equal("queued a");
+    });
+
+    it("should acknowledge a replayed patch even when the store can't write", async function() {
+      let online = false;
+      const transport = new TestTransport(null, () => {
+        if (!online) offline();
+        return [];
+      });
+      const store = new MemoryStore();
+      const patcher = new PatchedSync({ transport: transport, queue: store, queue_retry: 60000 }, { a: "a" });
+      await patcher.change({ a: "not a" });
+
+      const quota = new Error("The quota was exceeded.");
+      store.write = async () => {
+        throw quota;
+      };
+      const events = [];
+      patcher.on("queue:remove", () => events.push("remove"));
+      patcher.on("queue:error", e => events.push(e.error));
+      patcher.on("patch:end", () => events.push("end"));
+
+      online = true;
+      expect(await patcher.replay()).to.equal(0);
+
+      expect(events).to.deep.equal(["remove", "end", quota]);
+      expect(patcher._server).to.deep.equal({ a: "not a" });
+    });
+  });
+
+  describe("optimistic updates", function() {
+    it("should roll back a change the server rejected and fire patch:error", async function() {
+      const rejection = new Error("rejected");
+      const transport = new TestTransport(null, () => {
+        throw rejection;
+      });
+      const patcher = new PatchedSync({ transport: transport }, { a: "a", b: "b" });
+
+      let event = null;
+      patcher.on("patch:error", e => (event = e));
+
+      let error;
+      try {
+        await patcher.change({ a: "not a" });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.equal(rejection);
+      expect(patcher.get()).to.deep.equal({ a: "a", b: "b" });
+      expect(event.error).to.equal(rejection);
+      expect(event.object).to.deep.equal({ a: "a", b: "b" });
+      expect(event.rolled_back).to.be.true;
+      expect(event.patch.slice(-1)[0]).to.deep.equal({ op: "replace", path: "/a", value: "not a" });
+      expect(patcher.canUndo()).to.be.false;
+    });
+
+    it("should show a change right away and keep it once the server accepts it", async function() {
+      let seen = null;
+      const transport = new TestTransport(null, () => {
+        seen = patcher.get().a;
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport }, { a: "a" });
+
+      await patcher.change({ a: "not a" });
+
+      expect(seen).to.equal("not a");
+      expect(patcher.get().a).to.equal("not a");
+    });
+
+    it("should only apply a change once the server accepts it when not optimistic", async function() {
+      let seen = null;
+      const transport = new TestTransport(null, () => {
+        seen = patcher.get().a;
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport, optimistic: false }, { a: "a" });
+
+      const item = await patcher.change({ a: "not a" });
+
+      expect(seen).to.equal("a");
+      expect(item.a).to.equal("not a");
+    });
+
+    it("should apply an accepted change over a patch pushed while it was in flight", async function() {
+      const transport = new TestTransport(null, () => {
+        patcher.receive([{ op: "replace", path: "/a", value: 5 }, { op: "add", path: "/b", value: "b" }]);
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport, optimistic: false }, { a: 1 });
+
+      const errors = [];
+      patcher.on("*:error", error => errors.push(error));
+
+      const item = await patcher.change({ a: 2 });
+
+      expect(item).to.deep.equal({ a: 2, b: "b" });
+      expect(patcher._server).to.deep.equal({ a: 2, b: "b" });
+      expect(errors).to.deep.equal([]);
+    });
+
+    it("should fire get:error when fetching fails", async function() {
+      const failure = new Error("unreachable");
+      const transport = new TestTransport(() => {
+        throw failure;
+      });
+      const patcher = new PatchedSync({ transport: transport }, { a: "a" });
+
+      let event = null;
+      patcher.on("get:error", e => (event = e));
+
+      let error;
+      try {
+        await patcher.fetch();
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.equal(failure);
+      expect(event.error).to.equal(failure);
+      expect(patcher.get().a).to.equal("a");
+    });
+  });
+
+  describe("concurrent server changes", function() {
+    const deferred = () => {
+      let resolve;
+      const promise = new Promise(r => (resolve = r));
+      return { promise, resolve };
+    };
+
+    it("should keep a change in flight when the server pushes an unrelated change", async function() {
+      const reply = deferred();
+      const transport = new TestTransport(null, () => reply.promise);
+      const patcher = new PatchedSync({ transport: transport }, { a: "a", b: "b" });
+
+      const changed = patcher.change({ a: "local a" });
+      await new Promise(resolve => setTimeout(resolve));
+      patcher.receive([{ op: "replace", path: "/b", value: "server b" }]);
+
+      expect(patcher.get()).to.deep.equal({ a: "local a", b: "server b" });
+
+      reply.resolve([]);
+      expect(await changed).to.deep.equal({ a: "local a", b: "server b" });
+    });
+
+    it("should keep a change in flight when a fetch returns the whole object", async function() {
+      const reply = deferred();
+      const transport = new TestTransport(() => ({ a: "a", b: "server b" }), () => reply.promise);
+      const patcher = new PatchedSync({ transport: transport }, { a: "a", b: "b" });
+
+      const changed = patcher.change({ a: "local a" });
+      await patcher.fetch();
+
+      expect(patcher.get()).to.deep.equal({ a: "local a", b: "server b" });
+
+      reply.resolve([]);
+      await changed;
+    });
+
+    it("should resolve colliding changes with the configured policy", async function() {
+      const reply = deferred();
+      const transport = new TestTransport(null, () => reply.promise);
+      const patcher = new PatchedSync({ transport: transport, conflict: "local-wins" }, { a: "a" });
+
+      const changed = patcher.change({ a: "local a" });
+      await new Promise(resolve => setTimeout(resolve));
+      patcher.receive([{ op: "replace", path: "/a", value: "server a" }]);
+
+      expect(patcher.get().a).to.equal("local a");
+
+      reply.resolve([]);
+      await changed;
+    });
+
+    it("should report a pushed patch that doesn't apply and keep the parts that do", function() {
+      const patcher = new PatchedSync({ transport: new TestTransport() }, { a: "a", b: "b" });
+      let reported = null;
+      patcher.on("remote:error", event => (reported = event));
+
+      patcher.receive([
+        { op: "replace", path: "/a", value: "server a" },
+        { op: "remove", path: "/gone" },
+      ]);
+
+      expect(patcher.get()).to.deep.equal({ a: "server a", b: "b" });
+      expect(reported.error.name).to.equal("PatchError");
+      expect(reported.error.index).to.equal(1);
+      expect(reported.error.pointer).to.equal("/gone");
+      expect(reported.error.reason).to.equal("not-found");
+    });
+  });
+
+  describe("batching", function() {
+    it("should combine quick changes into one minimal patch", async function() {
+      const sent = [];
+      const transport = new TestTransport(null, patch => {
+        sent.push(patch);
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport, batch: 20 }, { a: "a", b: "b" });
+
+      const changes = [
+        patcher.change({ a: "a1" }),
+        patcher.change({ a: "a2" }),
+        patcher.change({ b: "b1" }),
+        patcher.change({ b: "b" }),
+      ];
+
+      expect(patcher.get()).to.deep.equal({ a: "a2", b: "b" });
+
+      const items = await Promise.all(changes);
+      expect(sent.length).to.equal(1);
+      expect(sent[0].filter(op => op.op !== "test")).to.deep.equal([{ op: "replace", path: "/a", value: "a2" }]);
+      expect(items[0]).to.deep.equal({ a: "a2", b: "b" });
+    });
+
+    it("should not hold changes back for longer than max_wait", async function() {
+      const sent = [];
+      const transport = new TestTransport(null, patch => {
+        sent.push(patch);
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport, batch: { wait: 15, max_wait: 30 } }, { n: 0 });
+
+      const changes = [];
+      for (let n = 1; n <= 6; n++) {
+        changes.push(patcher.change({ n }));
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      await Promise.all(changes);
+
+      expect(sent.length).to.be.above(1);
+      expect(patcher.get().n).to.equal(6);
+    });
+
+    it("should reject every caller when the combined patch fails", async function() {
+      const transport = new TestTransport(null, () => {
+        throw { status: 422 };
+      });
+      const patcher = new PatchedSync({ transport: transport, batch: true }, { a: "a", b: "b" });
+
+      const results = await Promise.all(
+        [patcher.change({ a: "a1" }), patcher.change({ b: "b1" })].map(change => change.catch(e => e.status))
+      );
+
+      expect(results).to.deep.equal([422, 422]);
+      expect(patcher.get()).to.deep.equal({ a: "a", b: "b" });
+      expect(patcher.canUndo()).to.be.false;
+    });
+
+    it("should make each change on top of the held back ones when not optimistic", async function() {
+      const sent = [];
+      const transport = new TestTransport(null, patch => {
+        sent.push(patch);
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport, batch: true, optimistic: false }, { a: 1 });
+
+      const changes = [patcher.change({ a: 2 }), patcher.change({ a: 3 })];
+      expect(patcher.get()).to.deep.equal({ a: 1 });
+
+      await Promise.all(changes);
+      expect(sent.length).to.equal(1);
+      expect(sent[0].filter(op => op.op !== "test")).to.deep.equal([{ op: "replace", path: "/a", value: 3 }]);
+      expect(patcher.get()).to.deep.equal({ a: 3 });
+    });
+  });
+
+  describe("send pipeline", function() {
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    it("should send one patch at a time by default", async function() {
+      const replies = [];
+      const transport = new TestTransport(null, patch => new Promise(resolve => replies.push({ patch, resolve })));
+      const patcher = new PatchedSync({ transport: transport }, { a: "a", b: "b" });
+
+      const first = patcher.change({ a: "a1" });
+      const second = patcher.change({ b: "b1" });
+      await wait(5);
+
+      expect(replies.length).to.equal(1);
+      replies[0].resolve([]);
+      await first;
+      await wait(5);
+
+      expect(replies.length).to.equal(2);
+      replies[1].resolve([]);
+      await second;
+    });
+
+    it("should apply responses in send order when several requests are in flight", async function() {
+      const replies = [];
+      const transport = new TestTransport(null, patch => new Promise(resolve => replies.push({ patch, resolve })));
+      const patcher = new PatchedSync({ transport: transport, max_in_flight: 2 }, { a: "a" });
+
+      const order = [];
+      const first = patcher.change({ a: "a1" }).then(() => order.push("first"));
+      const second = patcher.change({ a: "a2" }).then(() => order.push("second"));
+      await wait(5);
+
+      expect(replies.length).to.equal(2);
+
+      // the server adjusts both, the second response must win even though it arrives first
+      replies[1].resolve([{ op: "replace", path: "/a", value: "server a2" }]);
+      await wait(5);
+      expect(order).to.deep.equal([]);
+
+      replies[0].resolve([{ op: "replace", path: "/a", value: "server a1" }]);
+      await Promise.all([first, second]);
+
+      expect(order).to.deep.equal(["first", "second"]);
+      expect(patcher.get().a).to.equal("server a2");
+    });
+
+    it("should resolve flush once everything is acknowledged", async function() {
+      let acknowledged = 0;
+      const transport = new TestTransport(null, async () => {
+        await wait(5);
+        acknowledged++;
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport, batch: 1000 }, { a: "a", b: "b" });
+
+      patcher.change({ a: "a1" });
+      patcher.patch({ a: "a1", b: "b1" });
+
+      expect(await patcher.flush()).to.equal(0);
+      expect(acknowledged).to.equal(1);
+    });
+  });
+
+  describe("polling", function() {
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    it("should apply only the difference from a poll and fire remote:change", async function() {
+      const patcher = new PatchedSync(
+        {
+          transport: "fetch",
+          get_url: "/fake/get/url",
+          patch_url: "/fake/patch/url",
+          interval: 5,
+        },
+        { a: "a", b: "b" }
+      );
+      patcher.transport.get = async () => ({ a: "a", b: "server b" });
+
+      const events = [];
+      patcher.on("remote:change", (item, patch) => events.push({ item, patch }));
+      patcher.start();
+      await wait(30);
+      patcher.stop();
+
+      expect(patcher.get()).to.deep.equal({ a: "a", b: "server b" });
+      expect(events.length).to.equal(1);
+      expect(events[0].patch.filter(op => op.op !== "test")).to.deep.equal([
+        { op: "replace", path: "/b", value: "server b" },
+      ]);
+    });
+
+    it("should fire get:error when a poll fails and keep polling", async function() {
+      const patcher = new PatchedSync({
+        transport: "xmlhttprequest",
+        get_url: "/fake/get/url",
+        patch_url: "/fake/patch/url",
+        interval: 5,
+      });
+
+      let polls = 0;
+      patcher.transport.get = async () => {
+        polls++;
+        throw new Error("unreachable");
+      };
+
+      let errors = 0;
+      patcher.on("get:error", () => errors++);
+      patcher.start();
+      await wait(30);
+      patcher.stop();
+
+      expect(polls).to.be.above(1);
+      expect(errors).to.equal(polls);
+    });
+  });
+
+  describe("cancellation", function() {
+    it("should roll back a change when its request is aborted", async function() {
+      const transport = new TestTransport(null, (patch, options) => {
+        return new Promise((resolve, reject) => {
+          options.signal.addEventListener("abort", () => reject(new AbortError()));
+        });
+      });
+      const patcher = new PatchedSync({ transport: transport, queue: new MemoryStore() }, { a: "a" });
+
+      let event = null;
+      patcher.on("patch:error", e => (event = e));
+
+      const controller = new AbortController();
+      const change = patcher.change({ a: "not a" }, { signal: controller.signal });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(patcher.get().a).to.equal("not a");
+      controller.abort();
+
+      let error;
+      try {
+        await change;
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.name).to.equal("AbortError");
+      expect(event.rolled_back).to.be.true;
+      expect(patcher.get().a).to.equal("a");
+      expect(patcher.pending()).to.equal(0);
+    });
+
+    it("should not send a change that was aborted before its turn", async function() {
+      let sent = 0;
+      const transport = new TestTransport(null, () => {
+        sent++;
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport }, { a: "a" });
+
+      const controller = new AbortController();
+      controller.abort();
+
+      let error;
+      try {
+        await patcher.change({ a: "not a" }, { signal: controller.signal });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(AbortError);
+      expect(sent).to.equal(0);
+      expect(patcher.get().a).to.equal("a");
+    });
+
+    it("should hand the signal to the transport when fetching", async function() {
+      let received = null;
+      const transport = new TestTransport(options => {
+        received = options;
+        return { a: "a" };
+      });
+      const patcher = new PatchedSync({ transport: transport });
+
+      const controller = new AbortController();
+      await patcher.fetch({ signal: controller.signal });
+
+      expect(received.signal).to.equal(controller.signal);
+    });
+  });
+
+  describe("stale patches", function() {
+    it("should refetch, rebase and resend a patch the server refused as stale", async function() {
+      let server = { a: "a", b: "b" };
+      const sent = [];
+      const transport = new TestTransport(
+        () => server,
+        patch => {
+          sent.push(patch);
+          if (sent.length === 1) {
+            server = { a: "a", b: "b", c: "c" };
+            throw new ConflictError('"1"');
+          }
+          return [];
+        }
+      );
+      const patcher = new PatchedSync({ transport: transport }, server);
+
+      let remote = null;
+      patcher.on("remote:change", (object, patch) => (remote = patch));
+
+      await patcher.change({ a: "not a" });
+
+      expect(sent).to.have.lengthOf(2);
+      expect(sent[1].filter(op => op.op !== "test")).to.deep.equal([{ op: "replace", path: "/a", value: "not a" }]);
+      expect(remote).to.deep.equal([{ op: "add", path: "/c", value: "c" }]);
+      expect(patcher.get()).to.deep.equal({ a: "not a", b: "b", c: "c" });
+    });
+
+    it("should drop what the server won when resending", async function() {
+      let server = { a: "a", b: "b" };
+      const sent = [];
+      const transport = new TestTransport(
+        () => server,
+        patch => {
+          sent.push(patch);
+          server = { a: "server a", b: "b" };
+          throw new ConflictError('"1"');
+        }
+      );
+      const patcher = new PatchedSync({ transport: transport }, server);
+
+      let ended = false;
+      patcher.on("patch:end", () => (ended = true));
+
+      await patcher.change({ a: "not a" });
+
+      expect(sent).to.have.lengthOf(1);
+      expect(ended).to.be.true;
+      expect(patcher.get()).to.deep.equal({ a: "server a", b: "b" });
+    });
+
+    it("should give up after conflict_retries attempts", async function() {
+      let count = 0;
+      const transport = new TestTransport(
+        () => ({ a: "a", n: count }),
+        () => {
+          count++;
+          throw new ConflictError('"1"');
+        }
+      );
+      const patcher = new PatchedSync({ transport: transport, conflict_retries: 2 }, { a: "a", n: 0 });
+
+      let event = null;
+      patcher.on("patch:error", e => (event = e));
+
+      let error;
+      try {
+        await patcher.change({ a: "not a" });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(count).to.equal(3);
+      expect(error).to.be.an.instanceof(ConflictError);
+      expect(event.rolled_back).to.be.true;
+      expect(patcher.get()).to.deep.equal({ a: "a", n: 2 });
+    });
+  });
+
+  describe("guarded changes", function() {
+    it("should send preconditions as test operations ahead of the change", async function() {
+      let sent = null;
+      const transport = new TestTransport(null, patch => {
+        sent = patch;
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport }, { status: "draft", title: "t" });
+
+      await patcher.change({ status: "published" }, { expect: { "/status": "draft", "/title": "t" } });
+
+      expect(sent.slice(0, 2)).to.deep.equal([
+        { op: "test", path: "/status", value: "draft" },
+        { op: "test", path: "/title", value: "t" },
+      ]);
+      expect(sent.slice(-1)[0]).to.deep.equal({ op: "replace", path: "/status", value: "published" });
+      expect(patcher.get().status).to.equal("published");
+      expect(patcher.historyAll().slice(-1)[0].filter(op => op.path === "/title")).to.have.lengthOf(0);
+    });
+
+    it("should not send a change whose preconditions already fail locally", async function() {
+      let sent = 0;
+      const transport = new TestTransport(null, () => {
+        sent++;
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport }, { status: "published" });
+
+      let event = null;
+      patcher.on("patch:error", e => (event = e));
+
+      let error;
+      try {
+        await patcher.change({ status: "archived" }, { expect: { "/status": "draft" } });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(PreconditionError);
+      expect(error.tests).to.deep.equal([{ op: "test", path: "/status", value: "draft" }]);
+      expect(event.error).to.equal(error);
+      expect(sent).to.equal(0);
+      expect(patcher.get().status).to.equal("published");
+      expect(patcher.canUndo()).to.be.false;
+    });
+
+    it("should reject with a PreconditionError when the server's test fails", async function() {
+      const refusal = { status: 409 };
+      const transport = new TestTransport(null, () => {
+        throw refusal;
+      });
+      const patcher = new PatchedSync({ transport: transport }, { status: "draft" });
+
+      let error;
+      try {
+        await patcher.change({ status: "published" }, { expect: { "/status": "draft" } });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(PreconditionError);
+      expect(error.cause).to.equal(refusal);
+      expect(patcher.get().status).to.equal("draft");
+    });
+
+    it("should only send the preconditions when guard is off", async function() {
+      let sent = null;
+      const transport = new TestTransport(null, patch => {
+        sent = patch;
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport, guard: false }, { status: "draft", count: 1 });
+
+      await patcher.change({ status: "published", count: 2 }, { expect: { "/status": "draft" } });
+
+      expect(sent.filter(op => op.op === "test")).to.deep.equal([{ op: "test", path: "/status", value: "draft" }]);
+      expect(sent).to.deep.include({ op: "replace", path: "/count", value: 2 });
+      expect(await patcher.undo()).to.deep.equal({ status: "draft", count: 1 });
+    });
+  });
+
+  describe("merge patch format", function() {
+    it("should send changes as merge patches and apply the server's merge patch response", async function() {
+      let sent = null;
+      let sent_options = null;
+      const transport = new TestTransport(null, (patch, options) => {
+        sent = patch;
+        sent_options = options;
+        return { updated_at: "now" };
+      });
+      const patcher = new PatchedSync(
+        { transport: transport, format: "merge-patch" },
+        { a: "a", b: "b", nested: { c: "c", d: "d" }, list: [1, 2] }
+      );
+
+      const item = await patcher.change({ a: "not a", b: PatchedSync.DELETE, nested: { c: "not c" }, list: [1, 2, 3] });
+
+      expect(sent).to.deep.equal({ a: "not a", b: null, nested: { c: "not c" }, list: [1, 2, 3] });
+      expect(sent_options.format).to.equal("merge-patch");
+      expect(item).to.deep.equal({ a: "not a", nested: { c: "not c", d: "d" }, list: [1, 2, 3], updated_at: "now" });
+    });
+
+    it("should refuse changes a merge patch can't express", async function() {
+      let sent = 0;
+      const transport = new TestTransport(null, () => sent++);
+      const patcher = new PatchedSync({ transport: transport, format: "merge-patch" }, { a: "a" });
+
+      let error;
+      try {
+        await patcher.patch({ a: null });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.name).to.equal("PatchError");
+      expect(error.pointer).to.equal("/a");
+
+      error = null;
+      try {
+        await patcher.change({ a: "b" }, { expect: { "/a": "a" } });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.match(/Preconditions/);
+
+      expect(sent).to.equal(0);
+      expect(patcher.get()).to.deep.equal({ a: "a" });
+    });
+
+    it("should refuse an unknown format", function() {
+      expect(() => new PatchedSync({ transport: new TestTransport(), format: "xml" })).to.throw(/Unknown format/);
+    });
+  });
+
+  describe("schema", function() {
+    const schema = {
+      type: "object",
+      required: ["name"],
+      properties: { name: { type: "string", minLength: 1 }, age: { type: "integer", minimum: 0 } },
+    };
+
+    it("should refuse a change that doesn't match the schema without sending or applying it", async function() {
+      let sent = 0;
+      const transport = new TestTransport(null, () => {
+        sent++;
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport, schema: schema }, { name: "Ann", age: 30 });
+      let reported = null;
+      patcher.on("patch:error", event => (reported = event));
+
+      let error;
+      try {
+        await patcher.change({ name: "", age: -1 });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(SchemaError);
+      expect(error.paths).to.deep.equal({
+        "/name": ["must be at least 1 character long"],
+        "/age": ["must be at least 0"],
+      });
+      expect(reported.error).to.equal(error);
+      expect(patcher.get()).to.deep.equal({ name: "Ann", age: 30 });
+      expect(patcher.canUndo()).to.be.false;
+      expect(sent).to.equal(0);
+
+      await patcher.change({ age: 31 });
+      expect(sent).to.equal(1);
+    });
+
+    it("should accept a validator function", async function() {
+      const validate = object => (object.age > 120 ? [{ path: "/age", message: "is not believable" }] : []);
+      const patcher = new PatchedSync({ transport: new TestTransport(), schema: validate }, { age: 30 });
+
+      let error;
+      try {
+        await patcher.patch({ age: 200 });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.paths).to.deep.equal({ "/age": ["is not believable"] });
+    });
+
+    it("should report server changes that don't match the schema but keep them", function() {
+      const patcher = new PatchedSync({ transport: new TestTransport(), schema: schema }, { name: "Ann" });
+      let reported = null;
+      patcher.on("remote:error", event => (reported = event));
+
+      patcher.receive([{ op: "remove", path: "/name" }]);
+
+      expect(patcher.get()).to.deep.equal({});
+      expect(reported.error).to.be.an.instanceof(SchemaError);
+      expect(reported.error.errors[0].path).to.equal("/name");
+    });
+  });
+
+  describe("live handle", function() {
+    it("should record assignments, deletes and array methods and send them as one change", async function() {
+      const sent = [];
+      const transport = new TestTransport(null, patch => {
+        sent.push(patch);
+        return [];
+      });
+      const patcher = new PatchedSync(
+        { transport: transport },
+        { status: "new", coupon: "X", items: [{ sku: "b" }, { sku: "a" }], tags: ["x", "y", "z"] }
+      );
+      const order = patcher.live();
+
+      order.status = "shipped";
+      delete order.coupon;
+      order.items.push({ sku: "c" });
+      order.items.sort((a, b) => (a.sku < b.sku ? -1 : 1));
+      expect(order.tags.pop()).to.equal("z");
+      order.items[0].sku = "A";
+      order.note = "fragile";
+
+      expect(order.status).to.equal("shipped");
+      expect(order.items[0].sku).to.equal("A");
+      expect(Array.isArray(order.items)).to.be.true;
+      expect(order.items.map(item => item.sku)).to.deep.equal(["A", "b", "c"]);
+      expect(patcher.get().status).to.equal("new");
+
+      await patcher.flush();
+
+      expect(sent.length).to.equal(1);
+      expect(patcher.get()).to.deep.equal({
+        status: "shipped",
+        items: [{ sku: "A" }, { sku: "b" }, { sku: "c" }],
+        tags: ["x", "y"],
+        note: "fragile",
+      });
+      expect(JSON.parse(JSON.stringify(order))).to.deep.equal(patcher.get());
+      expect(await patcher.undo()).to.deep.equal({
+        status: "new",
+        coupon: "X",
+        items: [{ sku: "b" }, { sku: "a" }],
+        tags: ["x", "y", "z"],
+      });
+    });
+
+    it("should send on its own once the current task is done, or after live_wait", async function() {
+      let sent = 0;
+      const transport = new TestTransport(null, () => {
+        sent++;
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport }, { a: 1 });
+      patcher.live().a = 2;
+      patcher.live().b = 3;
+
+      await new Promise(resolve => setTimeout(resolve));
+      expect(sent).to.equal(1);
+      expect(patcher.get()).to.deep.equal({ a: 2, b: 3 });
+
+      const waiting = new PatchedSync({ transport: transport, live_wait: 20 }, { a: 1 });
+      waiting.live().a = 2;
+      await new Promise(resolve => setTimeout(resolve, 5));
+      expect(sent).to.equal(1);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(sent).to.equal(2);
+    });
+
+    it("should keep changes from the server that came in while recording", async function() {
+      const patcher = new PatchedSync({ transport: new TestTransport(), live_wait: 10 }, { a: "a", b: "b" });
+      const live = patcher.live();
+
+      live.a = "local a";
+      patcher.receive([{ op: "replace", path: "/b", value: "server b" }]);
+      await patcher.flush();
+
+      expect(patcher.get()).to.deep.equal({ a: "local a", b: "server b" });
+      expect(live.b).to.equal("server b");
+    });
+
+    it("should report a refused change with patch:error and roll it back", async function() {
+      const schema = { type: "object", properties: { count: { minimum: 0 } } };
+      const patcher = new PatchedSync({ transport: new TestTransport(), schema: schema }, { count: 1 });
+      let reported = null;
+      patcher.on("patch:error", event => (reported = event));
+
+      patcher.live().count = -1;
+      await patcher.flush();
+
+      expect(reported.error).to.be.an.instanceof(SchemaError);
+      expect(patcher.live().count).to.equal(1);
+    });
+  });
+
+  describe("subscribe and snapshots", function() {
+    it("should return the same frozen snapshot until the object changes, sharing what didn't change", async function() {
+      const patcher = new PatchedSync({ transport: new TestTransport() }, { a: { b: 1 }, c: { d: [1, 2] } });
+
+      const first = patcher.getSnapshot();
+      expect(patcher.getSnapshot()).to.equal(first);
+      expect(Object.isFrozen(first)).to.be.true;
+      expect(Object.isFrozen(first.c.d)).to.be.true;
+
+      await patcher.change({ a: { b: 2 } });
+      const second = patcher.getSnapshot();
+
+      expect(second).to.not.equal(first);
+      expect(second.a).to.deep.equal({ b: 2 });
+      expect(second.c).to.equal(first.c);
+    });
+
+    it("should call subscribers right away and on local, rolled back and server changes", async function() {
+      const transport = new TestTransport(null, patch => {
+        if (patch.some(op => op.value === "refused")) throw { status: 422 };
+        return [];
+      });
+      const patcher = new PatchedSync({ transport: transport }, { a: "a" });
+      const seen = [];
+      const unsubscribe = patcher.subscribe(snapshot => seen.push(snapshot.a));
+
+      await patcher.change({ a: "local" });
+      try {
+        await patcher.change({ a: "refused" });
+      } catch (e) {
+        // rolled back
+      }
+      patcher.receive([{ op: "replace", path: "/a", value: "server" }]);
+      unsubscribe();
+      patcher.receive([{ op: "replace", path: "/a", value: "unseen" }]);
+
+      expect(seen).to.deep.equal(["a", "local", "refused", "local", "server"]);
+    });
+
+    it("should work as a Svelte store", function() {
+      const patcher = new PatchedSync({ transport: new TestTransport() }, { a: "a" });
+      let value = null;
+
+      const unsubscribe = patcher.subscribe(snapshot => (value = snapshot));
+
+      expect(value).to.deep.equal({ a: "a" });
+      expect(typeof unsubscribe).to.equal("function");
+    });
   });
 });
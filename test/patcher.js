@@ -0,0 +1,249 @@
+import { expect } from "chai";
+import { Patcher, PatchError } from "../";
+
+const failure = fn => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected an error to be thrown.");
+};
+
+describe("Patcher", function () {
+  describe("apply", function () {
+    it("should apply every operation without changing the document passed in", function () {
+      const document = { a: "a", list: [1, 2, 3], nested: { b: "b" } };
+      const patched = Patcher.apply(
+        [
+          { op: "add", path: "/c", value: "c" },
+          { op: "remove", path: "/list/0" },
+          { op: "replace", path: "/nested/b", value: "not b" },
+          { op: "move", from: "/a", path: "/nested/a" },
+          { op: "copy", from: "/nested/a", path: "/list/-" },
+          { op: "test", path: "/list", value: [2, 3, "a"] },
+        ],
+        document
+      );
+
+      expect(patched).to.deep.equal({ c: "c", list: [2, 3, "a"], nested: { b: "not b", a: "a" } });
+      expect(document).to.deep.equal({ a: "a", list: [1, 2, 3], nested: { b: "b" } });
+    });
+
+    it("should replace the whole document at the root pointer", function () {
+      expect(Patcher.apply([{ op: "replace", path: "", value: [1] }], { a: "a" })).to.deep.equal([1]);
+    });
+
+    it("should apply all or nothing", function () {
+      const document = { a: "a" };
+      const error = failure(() =>
+        Patcher.apply(
+          [
+            { op: "replace", path: "/a", value: "not a" },
+            { op: "test", path: "/a", value: "a" },
+          ],
+          document
+        )
+      );
+
+      expect(error).to.be.an.instanceof(PatchError);
+      expect(error.reason).to.equal("test-failed");
+      expect(error.index).to.equal(1);
+      expect(document.a).to.equal("a");
+    });
+
+    it("should say which operation failed, where and why", function () {
+      const op = { op: "replace", path: "/a/b/c", value: 1 };
+      const error = failure(() => Patcher.apply([{ op: "add", path: "/x", value: 1 }, op], { a: {} }));
+
+      expect(error.index).to.equal(1);
+      expect(error.operation).to.equal(op);
+      expect(error.pointer).to.equal("/a/b");
+      expect(error.reason).to.equal("not-found");
+      expect(error.message).to.match(/^Operation 1: /);
+    });
+
+    it("should refuse array indexes that are out of range or not numbers", function () {
+      expect(failure(() => Patcher.apply([{ op: "add", path: "/4", value: 1 }], [1, 2])).reason).to.equal("bad-index");
+      expect(failure(() => Patcher.apply([{ op: "add", path: "/01", value: 1 }], [1, 2])).reason).to.equal("bad-index");
+      expect(failure(() => Patcher.apply([{ op: "remove", path: "/2" }], [1, 2])).reason).to.equal("not-found");
+    });
+
+    it("should refuse paths through values that aren't containers", function () {
+      const error = failure(() => Patcher.apply([{ op: "add", path: "/a/b", value: 1 }], { a: "a" }));
+
+      expect(error.reason).to.equal("not-container");
+      expect(error.pointer).to.equal("/a/b");
+    });
+
+    it("should compare values structurally in test operations", function () {
+      const document = { a: { b: [1, { c: null }] } };
+
+      expect(Patcher.apply([{ op: "test", path: "/a", value: { b: [1, { c: null }] } }], document)).to.deep.equal(
+        document
+      );
+      expect(failure(() => Patcher.apply([{ op: "test", path: "/a/b", value: [1] }], document)).reason).to.equal(
+        "test-failed"
+      );
+    });
+
+    it("should resolve escaped pointer tokens", function () {
+      const patched = Patcher.apply([{ op: "replace", path: "/a~1b/c~0d", value: 2 }], { "a/b": { "c~d": 1 } });
+
+      expect(patched).to.deep.equal({ "a/b": { "c~d": 2 } });
+    });
+  });
+
+  describe("validate", function () {
+    it("should accept a well formed patch", function () {
+      expect(Patcher.validate([{ op: "move", from: "/a", path: "/b" }])).to.be.true;
+    });
+
+    it("should refuse malformed patches before applying anything", function () {
+      expect(failure(() => Patcher.validate({})).reason).to.equal("invalid");
+      expect(failure(() => Patcher.validate([{ op: "merge", path: "/a" }])).index).to.equal(0);
+      expect(failure(() => Patcher.validate([{ op: "add", path: "a", value: 1 }])).pointer).to.equal("a");
+      expect(failure(() => Patcher.validate([{ op: "replace", path: "/a" }])).message).to.match(/needs a value/);
+      expect(failure(() => Patcher.validate([{ op: "copy", path: "/a" }])).message).to.match(/Invalid from/);
+      expect(failure(() => Patcher.validate([{ op: "move", from: "/a", path: "/a/b" }])).pointer).to.equal("/a/b");
+    });
+  });
+
+  describe("diff", function () {
+    const pairs = [
+      [{ a: "a", b: "b" }, { a: "not a", c: "c" }],
+      [{ list: [1, 2, 3, 4] }, { list: [0, 1, 3, 4, 5] }],
+      [{ list: ["a", "b", "c"] }, { list: ["c", "b", "a"] }],
+      [{ nested: { deep: [{ x: 1 }, { y: 2 }] } }, { nested: { deep: [{ x: 1 }, { y: 3 }, { z: 4 }] } }],
+      [{ a: [1] }, { a: { 0: 1 } }],
+      ["a", { a: "a" }],
+    ];
+
+    it("should produce patches that turn one document into the other", function () {
+      pairs.forEach(pair => {
+        expect(Patcher.apply(Patcher.diff(pair[0], pair[1]), pair[0])).to.deep.equal(pair[1]);
+      });
+    });
+
+    it("should put a test ahead of every replace and remove unless told otherwise", function () {
+      expect(Patcher.diff({ a: "a", b: "b" }, { a: "not a" })).to.deep.equal([
+        { op: "test", path: "/a", value: "a" },
+        { op: "replace", path: "/a", value: "not a" },
+        { op: "test", path: "/b", value: "b" },
+        { op: "remove", path: "/b" },
+      ]);
+      expect(Patcher.diff({ a: "a" }, { a: "not a" }, { invertible: false })).to.deep.equal([
+        { op: "replace", path: "/a", value: "not a" },
+      ]);
+    });
+
+    it("should only touch the array elements that changed", function () {
+      expect(Patcher.diff([1, 2, 3], [1, 9, 2, 3])).to.deep.equal([{ op: "add", path: "/1", value: 9 }]);
+      expect(Patcher.diff([1, 2, 3], [1, 3])).to.deep.equal([
+        { op: "test", path: "/1", value: 2 },
+        { op: "remove", path: "/1" },
+      ]);
+    });
+
+    it("should return an empty patch for equal documents", function () {
+      expect(Patcher.diff({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).to.deep.equal([]);
+    });
+
+    it("should not mistake inherited properties for members", function () {
+      expect(Patcher.diff({}, { constructor: 1 })).to.deep.equal([{ op: "add", path: "/constructor", value: 1 }]);
+      expect(Patcher.diff({ toString: "x" }, {})).to.deep.equal([
+        { op: "test", path: "/toString", value: "x" },
+        { op: "remove", path: "/toString" },
+      ]);
+      expect(Patcher.apply(Patcher.diff({}, { constructor: 1 }), {})).to.deep.equal({ constructor: 1 });
+    });
+  });
+
+  describe("inverse", function () {
+    it("should undo a diff", function () {
+      const a = { a: "a", list: [1, 2, 3], gone: { x: 1 } };
+      const b = { a: "not a", list: [2, 3, 4], added: true };
+      const patch = Patcher.diff(a, b);
+
+      expect(Patcher.apply(Patcher.inverse(patch), Patcher.apply(patch, a))).to.deep.equal(a);
+    });
+
+    it("should reverse moves and copies", function () {
+      const document = { a: "a", b: {} };
+      const patch = [
+        { op: "move", from: "/a", path: "/b/a" },
+        { op: "copy", from: "/b", path: "/c" },
+      ];
+
+      expect(Patcher.apply(Patcher.inverse(patch), Patcher.apply(patch, document))).to.deep.equal(document);
+    });
+
+    it("should refuse operations that don't record what they overwrite", function () {
+      const error = failure(() => Patcher.inverse([{ op: "replace", path: "/a", value: 1 }]));
+
+      expect(error.reason).to.equal("not-invertible");
+      expect(error.index).to.equal(0);
+      expect(failure(() => Patcher.inverse([{ op: "add", path: "/list/-", value: 1 }])).reason).to.equal(
+        "not-invertible"
+      );
+    });
+  });
+
+  describe("compose", function () {
+    it("should have the same effect as applying the patches in order", function () {
+      const document = { a: "a", list: [1, 2] };
+      const patches = [
+        Patcher.diff(document, { a: "b", list: [1, 2, 3] }),
+        Patcher.diff({ a: "b", list: [1, 2, 3] }, { a: "c", list: [2, 3] }),
+        [{ op: "add", path: "/d", value: "d" }],
+      ];
+
+      const expected = patches.reduce((subject, patch) => Patcher.apply(patch, subject), document);
+      expect(Patcher.apply(Patcher.compose(patches), document)).to.deep.equal(expected);
+    });
+
+    it("should fold repeated changes to the same value", function () {
+      const composed = Patcher.compose([
+        [{ op: "add", path: "/a", value: 1 }],
+        [
+          { op: "test", path: "/a", value: 1 },
+          { op: "replace", path: "/a", value: 2 },
+        ],
+        [
+          { op: "test", path: "/a", value: 2 },
+          { op: "replace", path: "/a", value: 3 },
+        ],
+      ]);
+
+      expect(composed).to.deep.equal([{ op: "add", path: "/a", value: 3 }]);
+    });
+
+    it("should not change the patches passed in", function () {
+      const first = [{ op: "add", path: "/a", value: 1 }];
+      Patcher.compose([first, [{ op: "replace", path: "/a", value: 2 }]]);
+
+      expect(first[0].value).to.equal(1);
+    });
+  });
+
+  describe("rebase", function () {
+    it("should shift array indexes past earlier changes", function () {
+      const document = { list: ["a", "b", "c"] };
+      const history = [Patcher.diff(document, { list: ["z", "a", "b", "c"] })];
+      const patch = [{ op: "remove", path: "/list/1" }];
+
+      const rebased = Patcher.rebase(history, patch);
+      expect(Patcher.apply(rebased, Patcher.apply(history[0], document))).to.deep.equal({ list: ["z", "a", "c"] });
+      expect(patch[0].path).to.equal("/list/1");
+    });
+
+    it("should refuse patches that can't be moved past the others", function () {
+      const history = [[{ op: "replace", path: "/a", value: 1 }]];
+      const error = failure(() => Patcher.rebase(history, [{ op: "add", path: "/b", value: 2 }]));
+
+      expect(error).to.be.an.instanceof(PatchError);
+      expect(error.reason).to.equal("not-commutable");
+      expect(failure(() => Patcher.rebase([], [{ op: "nope" }])).reason).to.equal("invalid");
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { expect } from "chai";
+import { createElement } from "react";
+import TestRenderer, { act } from "react-test-renderer";
+import { PatchedSync } from "../";
+import { usePatchedSync } from "../react";
+import TestTransport from "./mocks/test-transport";
+
+// lets React know the updates below are wrapped in act
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe("React bindings", function () {
+  let renders;
+
+  const Order = ({ patched_sync, selector }) => {
+    renders.push(usePatchedSync(patched_sync, selector));
+    return null;
+  };
+
+  const mount = props => {
+    let renderer;
+    act(() => {
+      renderer = TestRenderer.create(createElement(Order, props));
+    });
+    return renderer;
+  };
+
+  beforeEach(function () {
+    renders = [];
+  });
+
+  it("should render with the snapshot and again whenever the object changes", async function () {
+    const patched_sync = new PatchedSync({ transport: new TestTransport() }, { a: "a", b: "b" });
+    const renderer = mount({ patched_sync });
+
+    expect(renders).to.deep.equal([{ a: "a", b: "b" }]);
+
+    await act(async () => {
+      await patched_sync.change({ a: "not a" });
+    });
+    expect(renders[renders.length - 1]).to.deep.equal({ a: "not a", b: "b" });
+
+    act(() => {
+      patched_sync.receive([{ op: "replace", path: "/b", value: "not b" }]);
+    });
+    expect(renders[renders.length - 1]).to.deep.equal({ a: "not a", b: "not b" });
+
+    act(() => renderer.unmount());
+  });
+
+  it("should hand over what the selector picked, the same value until that part changes", async function () {
+    const patched_sync = new PatchedSync({ transport: new TestTransport() }, { a: "a", items: [{ n: 1 }] });
+    const renderer = mount({ patched_sync, selector: order => order.items });
+    const items = renders[0];
+
+    expect(items).to.deep.equal([{ n: 1 }]);
+
+    await act(async () => {
+      await patched_sync.change({ a: "not a" });
+    });
+    expect(renders[renders.length - 1]).to.equal(items);
+
+    await act(async () => {
+      await patched_sync.change({ items: [{ n: 1 }, { n: 2 }] });
+    });
+    expect(renders[renders.length - 1]).to.deep.equal([{ n: 1 }, { n: 2 }]);
+    expect(renders[renders.length - 1][0]).to.equal(items[0]);
+
+    act(() => renderer.unmount());
+  });
+
+  it("should unsubscribe when the component unmounts", function () {
+    const patched_sync = new PatchedSync({ transport: new TestTransport() }, { a: "a" });
+    const renderer = mount({ patched_sync });
+
+    expect(patched_sync._subscribers.length).to.equal(1);
+
+    act(() => renderer.unmount());
+    expect(patched_sync._subscribers.length).to.equal(0);
+
+    const count = renders.length;
+    patched_sync.receive([{ op: "replace", path: "/a", value: "not a" }]);
+    expect(renders.length).to.equal(count);
+  });
+});
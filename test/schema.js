@@ -0,0 +1,75 @@
+import { expect } from "chai";
+import { compile } from "../src/schema";
+
+describe("Schema", function () {
+  const schema = {
+    type: "object",
+    required: ["name", "email"],
+    additionalProperties: false,
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 10 },
+      email: { type: "string", format: "email" },
+      age: { type: "integer", minimum: 0, exclusiveMaximum: 150 },
+      role: { enum: ["admin", "editor"] },
+      tags: { type: "array", items: { type: "string", pattern: "^[a-z]+$" }, uniqueItems: true, maxItems: 3 },
+      address: { $ref: "#/definitions/address" },
+    },
+    definitions: {
+      address: { type: "object", required: ["city"], properties: { zip: { type: ["string", "null"] } } },
+    },
+  };
+  const validate = compile(schema);
+
+  it("should accept a matching value", function () {
+    const value = {
+      name: "Ann",
+      email: "ann@example.com",
+      age: 30,
+      tags: ["a", "b"],
+      address: { city: "X", zip: null },
+    };
+
+    expect(validate(value)).to.deep.equal([]);
+  });
+
+  it("should report every violation at the path of the value", function () {
+    const errors = validate({
+      name: "",
+      age: 1.5,
+      role: "owner",
+      tags: ["a", "a", "B"],
+      address: { zip: 1 },
+      extra: true,
+    });
+    const found = errors.map(error => `${error.path} ${error.keyword}`);
+
+    expect(found).to.have.members([
+      "/email required",
+      "/name minLength",
+      "/age type",
+      "/role enum",
+      "/tags/1 uniqueItems",
+      "/tags/2 pattern",
+      "/address/city required",
+      "/address/zip type",
+      "/extra additionalProperties",
+    ]);
+    expect(errors.find(error => error.path === "/age").message).to.equal("must be an integer");
+  });
+
+  it("should combine schemas with allOf, anyOf, oneOf and not", function () {
+    const combined = compile({
+      allOf: [{ type: "number" }, { minimum: 0 }],
+      anyOf: [{ maximum: 10 }, { multipleOf: 100 }],
+      oneOf: [{ multipleOf: 2 }, { multipleOf: 3 }],
+      not: { const: 4 },
+    });
+
+    expect(combined(3)).to.deep.equal([]);
+    expect(combined(200)).to.deep.equal([]);
+    expect(combined(-2).map(error => error.keyword)).to.deep.equal(["minimum"]);
+    expect(combined(6).map(error => error.keyword)).to.deep.equal(["oneOf"]);
+    expect(combined(4).map(error => error.keyword)).to.deep.equal(["not"]);
+    expect(combined(15).map(error => error.keyword)).to.deep.equal(["anyOf"]);
+  });
+});
@@ -0,0 +1,207 @@
+import { expect } from "chai";
+import sinon from "sinon";
+import { handler, MemoryDocumentStore } from "../server";
+import { PatchedSync, PreconditionError } from "../";
+import FetchTransport from "../src/transports/fetch";
+import ServerTransport, { request } from "./mocks/server-transport";
+
+// fetch, answered by the handler
+const serverFetch = serve => (url, init) => {
+  const headers = {};
+  Object.keys(init.headers || {}).forEach(name => (headers[name.toLowerCase()] = init.headers[name]));
+
+  return request(serve, init.method, url, init.body ? JSON.parse(init.body) : undefined, headers).then(res => ({
+    status: res.status,
+    headers: { get: name => (res.headers[name] !== undefined ? res.headers[name] : null) },
+    json: () => Promise.resolve(res.body),
+    text: () => Promise.resolve(res.body === undefined ? "" : JSON.stringify(res.body)),
+  }));
+};
+
+describe("Server handler", function () {
+  describe("GET", function () {
+    it("should respond with the document and its ETag", async function () {
+      const serve = handler({ store: new MemoryDocumentStore({ 1: { a: "a" } }) });
+
+      const res = await request(serve, "GET", "/1");
+
+      expect(res.status).to.equal(200);
+      expect(res.body).to.deep.equal({ a: "a" });
+      expect(res.headers.ETag).to.be.a("string");
+
+      const again = await request(serve, "GET", "/1?x=y", undefined, { "if-none-match": res.headers.ETag });
+      expect(again.status).to.equal(304);
+      expect(again.body).to.be.undefined;
+    });
+
+    it("should respond with the changes since a revision", async function () {
+      const serve = handler({ store: new MemoryDocumentStore({ 1: { a: "a" } }), log: 2 });
+
+      const revision = Number((await request(serve, "GET", "/1")).headers["X-Revision"]);
+      for (const value of ["b", "c", "d"]) {
+        await request(serve, "PATCH", "/1", [
+          { op: "test", path: "/a", value: "a" },
+          { op: "replace", path: "/a", value: value },
+          { op: "replace", path: "/a", value: "a" },
+        ]);
+      }
+      await request(serve, "PATCH", "/1", [{ op: "add", path: "/b", value: "b" }]);
+
+      const res = await request(serve, "GET", `/1?since=${revision + 3}`);
+      expect(res.status).to.equal(200);
+      expect(res.headers["X-Revision"]).to.equal(String(revision + 4));
+      expect(res.body).to.deep.equal([{ revision: revision + 4, patch: [{ op: "add", path: "/b", value: "b" }] }]);
+
+      expect((await request(serve, "GET", `/1?since=${revision + 2}`)).body.length).to.equal(2);
+      expect((await request(serve, "GET", `/1?since=${revision + 4}`)).body).to.deep.equal([]);
+      expect((await request(serve, "GET", `/1?since=${revision + 1}`)).status).to.equal(410);
+      expect((await request(serve, "GET", `/1?since=${revision + 5}`)).status).to.equal(410);
+      expect((await request(serve, "GET", "/1?since=later")).status).to.equal(400);
+    });
+
+    it("should respond with 404 for a missing document", async function () {
+      const serve = handler({ store: new MemoryDocumentStore() });
+
+      expect((await request(serve, "GET", "/nope")).status).to.equal(404);
+    });
+  });
+
+  describe("PATCH", function () {
+    it("should apply the patch and respond with the server adjustments", async function () {
+      const store = new MemoryDocumentStore({ 1: { a: "a", version: 1 } });
+      const serve = handler({
+        store: store,
+        adjust: document => Object.assign(document, { version: document.version + 1 }),
+      });
+
+      const res = await request(serve, "PATCH", "/1", [{ op: "replace", path: "/a", value: "b" }]);
+
+      expect(res.status).to.equal(200);
+      expect(res.body).to.deep.equal([{ op: "replace", path: "/version", value: 2 }]);
+      expect(await store.read("1")).to.deep.equal({ a: "b", version: 2 });
+    });
+
+    it("should refuse invalid patches without changing anything", async function () {
+      const store = new MemoryDocumentStore({ 1: { a: "a" } });
+      const serve = handler({ store: store, validate: document => (document.a === "" ? "a is required" : true) });
+
+      const bad_op = await request(serve, "PATCH", "/1", [{ op: "frobnicate", path: "/a" }]);
+      expect(bad_op.status).to.equal(400);
+
+      const missing = await request(serve, "PATCH", "/1", [
+        { op: "add", path: "/b", value: "b" },
+        { op: "remove", path: "/nope" },
+      ]);
+      expect(missing.status).to.equal(422);
+
+      const not_valid = await request(serve, "PATCH", "/1", [{ op: "replace", path: "/a", value: "" }]);
+      expect(not_valid.status).to.equal(422);
+      expect(not_valid.body.error).to.equal("a is required");
+
+      const failed_test = await request(serve, "PATCH", "/1", [
+        { op: "test", path: "/a", value: "b" },
+        { op: "replace", path: "/a", value: "c" },
+      ]);
+      expect(failed_test.status).to.equal(409);
+
+      expect(await store.read("1")).to.deep.equal({ a: "a" });
+    });
+
+    it("should refuse patches that reach into an object prototype", async function () {
+      const store = new MemoryDocumentStore({ 1: { a: "a" } });
+      const serve = handler({ store: store });
+
+      const paths = ["/__proto__/isAdmin", "/constructor/prototype/isAdmin", "/a/prototype"];
+      for (const path of paths) {
+        expect((await request(serve, "PATCH", "/1", [{ op: "add", path: path, value: true }])).status).to.equal(400);
+      }
+      const moved = await request(serve, "PATCH", "/1", [{ op: "copy", from: "/__proto__", path: "/b" }]);
+      expect(moved.status).to.equal(400);
+
+      expect({}.isAdmin).to.be.undefined;
+      expect(await store.read("1")).to.deep.equal({ a: "a" });
+    });
+
+    it("should refuse a patch based on a stale ETag", async function () {
+      const serve = handler({ store: new MemoryDocumentStore({ 1: { a: "a" } }) });
+      const etag = (await request(serve, "GET", "/1")).headers.ETag;
+
+      await request(serve, "PATCH", "/1", [{ op: "replace", path: "/a", value: "b" }]);
+      const res = await request(serve, "PATCH", "/1", [{ op: "replace", path: "/a", value: "c" }], { "if-match": etag });
+
+      expect(res.status).to.equal(412);
+    });
+
+    it("should apply concurrent patches one at a time", async function () {
+      const store = new MemoryDocumentStore({ 1: { count: 0 } });
+      let reads = 0;
+      const read = store.read.bind(store);
+      store.read = async id => {
+        reads++;
+        const document = await read(id);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return document;
+      };
+      const serve = handler({
+        store: store,
+        adjust: document => Object.assign(document, { count: document.count + 1 }),
+      });
+
+      await Promise.all([request(serve, "PATCH", "/1", []), request(serve, "PATCH", "/1", [])]);
+
+      expect(reads).to.equal(2);
+      expect(await read("1")).to.deep.equal({ count: 2 });
+    });
+  });
+
+  describe("with PatchedSync", function () {
+    it("should sync changes, server adjustments and preconditions", async function () {
+      const serve = handler({
+        store: new MemoryDocumentStore({ 1: { status: "draft", edits: 0 } }),
+        adjust: document => Object.assign(document, { edits: document.edits + 1 }),
+      });
+      const patcher = new PatchedSync({ transport: new ServerTransport(serve, "1") });
+
+      await patcher.fetch();
+      await patcher.change({ status: "published" }, { expect: { "/status": "draft" } });
+      expect(patcher.get()).to.deep.equal({ status: "published", edits: 1 });
+
+      const other = new PatchedSync({ transport: new ServerTransport(serve, "1") });
+      await other.fetch();
+      await other.change({ status: "archived" });
+
+      let error;
+      try {
+        await patcher.change({ status: "draft" }, { expect: { "/status": "published" } });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceof(PreconditionError);
+      expect(patcher.get()).to.deep.equal({ status: "archived", edits: 2 });
+    });
+
+    it("should only fetch what changed since the last fetch", async function () {
+      const serve = handler({ store: new MemoryDocumentStore({ 1: { items: [], note: "" } }) });
+      const fetch_stub = sinon.stub(global, "fetch").callsFake(serverFetch(serve));
+
+      try {
+        const patcher = new PatchedSync({ transport: new FetchTransport("/1", "/1") });
+        const other = new PatchedSync({ transport: new FetchTransport("/1", "/1") });
+        await patcher.fetch();
+        await other.fetch();
+
+        await patcher.change({ items: { operations: [{ op: "push", value: "mine" }] } });
+        await other.change({ note: "theirs" });
+        await patcher.fetch();
+        await other.fetch();
+
+        expect(patcher.get()).to.deep.equal({ items: ["mine"], note: "theirs" });
+        expect(other.get()).to.deep.equal({ items: ["mine"], note: "theirs" });
+        expect(fetch_stub.lastCall.args[0]).to.match(/^\/1\?since=\d+$/);
+      } finally {
+        fetch_stub.restore();
+      }
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { expect } from "chai";
+import MemoryStore from "../src/stores/memory";
+import LocalStorageStore from "../src/stores/local-storage";
+
+class TestStorage {
+  constructor() {
+    this.items = {};
+  }
+
+  getItem(key) {
+    return this.items.hasOwnProperty(key) ? this.items[key] : null;
+  }
+
+  setItem(key, value) {
+    this.items[key] = String(value);
+  }
+
+  removeItem(key) {
+    delete this.items[key];
+  }
+}
+
+describe("Stores", function () {
+  describe("memory", function () {
+    it("should read back what was written", async function () {
+      const store = new MemoryStore();
+      expect(await store.read()).to.deep.equal([]);
+
+      const entries = [{ patch: [] }];
+      await store.write(entries);
+      entries.push({ patch: [] });
+
+      expect(await store.read()).to.deep.equal([{ patch: [] }]);
+    });
+  });
+
+  describe("localStorage", function () {
+    it("should keep entries as JSON under the key", async function () {
+      const storage = new TestStorage();
+      const store = new LocalStorageStore("orders/1", storage);
+
+      await store.write([{ patch: [{ op: "remove", path: "/a" }] }]);
+      expect(JSON.parse(storage.items["orders/1"])[0].patch[0].op).to.equal("remove");
+      expect((await store.read()).length).to.equal(1);
+
+      await store.write([]);
+      expect(storage.items["orders/1"]).to.not.exist;
+      expect(await store.read()).to.deep.equal([]);
+    });
+
+    it("should require a key", function () {
+      expect(() => new LocalStorageStore(null, new TestStorage())).to.throw();
+    });
+  });
+});
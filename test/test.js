@@ -1,3 +1,15 @@
 import './patched-sync';
 import './fetch-transport';
-import './xmlhttprequest-transport';
\ No newline at end of file
+import './xmlhttprequest-transport';
+import './websocket-transport';
+import './stores';
+import './conflicts';
+import './patcher';
+import './merge-patch';
+import './schema';
+import './eventsource-transport';
+import './broadcast-transport';
+import './patched-sync-store';
+import './react-bindings';
+import './vue-bindings';
+import './server';
@@ -0,0 +1,54 @@
+import { expect } from "chai";
+import { effectScope, nextTick, watch } from "vue";
+import { PatchedSync } from "../";
+import { usePatchedSync } from "../vue";
+import TestTransport from "./mocks/test-transport";
+
+describe("Vue bindings", function () {
+  it("should hold the snapshot and follow every change to the object", async function () {
+    const patched_sync = new PatchedSync({ transport: new TestTransport() }, { a: "a", b: "b" });
+    const order = usePatchedSync(patched_sync);
+
+    expect(order.value).to.deep.equal({ a: "a", b: "b" });
+
+    await patched_sync.change({ a: "not a" });
+    expect(order.value).to.deep.equal({ a: "not a", b: "b" });
+
+    patched_sync.receive([{ op: "replace", path: "/b", value: "not b" }]);
+    expect(order.value).to.deep.equal({ a: "not a", b: "not b" });
+
+    order.stop();
+    expect(patched_sync._subscribers.length).to.equal(0);
+
+    patched_sync.receive([{ op: "replace", path: "/a", value: "a" }]);
+    expect(order.value.a).to.equal("not a");
+  });
+
+  it("should trigger watchers when the object changes", async function () {
+    const patched_sync = new PatchedSync({ transport: new TestTransport() }, { a: "a" });
+    const scope = effectScope();
+
+    const seen = [];
+    scope.run(() => {
+      const order = usePatchedSync(patched_sync);
+      watch(order, value => seen.push(value.a));
+    });
+
+    await patched_sync.change({ a: "not a" });
+    await nextTick();
+    expect(seen).to.deep.equal(["not a"]);
+
+    scope.stop();
+  });
+
+  it("should unsubscribe when its scope is disposed", function () {
+    const patched_sync = new PatchedSync({ transport: new TestTransport() }, { a: "a" });
+    const scope = effectScope();
+
+    scope.run(() => usePatchedSync(patched_sync));
+    expect(patched_sync._subscribers.length).to.equal(1);
+
+    scope.stop();
+    expect(patched_sync._subscribers.length).to.equal(0);
+  });
+});
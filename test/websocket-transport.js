@@ -0,0 +1,148 @@
+import { expect } from "chai";
+import { PatchedSync } from "../";
+import WebsocketTransport from "../src/transports/websocket";
+import TestSocket from "./mocks/test-socket";
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe("Websocket transport", function () {
+  beforeEach(function () {
+    TestSocket.instances = [];
+  });
+
+  describe("construction", function () {
+    it("should properly construct a websocket transport", function () {
+      const transport = new WebsocketTransport("ws://localhost/socket", "get_message", "patch_message");
+
+      expect(typeof transport.config).to.equal("function");
+      expect(typeof transport.get).to.equal("function");
+      expect(typeof transport.patch).to.equal("function");
+      expect(typeof transport.start).to.equal("function");
+      expect(typeof transport.stop).to.equal("function");
+      expect(transport.socket_url).to.equal("ws://localhost/socket");
+      expect(transport.get_message).to.equal("get_message");
+      expect(transport.patch_message).to.equal("patch_message");
+    });
+  });
+
+  describe("requests", function () {
+    it("should match replies to get and patch requests", async function () {
+      const transport = new WebsocketTransport("ws://localhost/socket", "get_message", "patch_message");
+      transport.config({ WebSocket: TestSocket });
+
+      const get = transport.get();
+      await wait(5);
+      const socket = TestSocket.instances[0];
+      expect(socket.url).to.equal("ws://localhost/socket");
+
+      const patch = transport.patch([{ op: "replace", path: "/a", value: "not a" }]);
+      await wait(0);
+
+      const [get_request, patch_request] = socket.sent;
+      expect(get_request.message).to.equal("get_message");
+      expect(patch_request.message).to.equal("patch_message");
+      expect(patch_request.data[0].value).to.equal("not a");
+
+      // reply out of order to make sure the ids are used to match them up
+      socket.serverSend({ message: "patch_message", id: patch_request.id, data: [] });
+      socket.serverSend({ message: "get_message", id: get_request.id, data: { a: "a" } });
+
+      expect(await get).to.deep.equal({ a: "a" });
+      expect(await patch).to.deep.equal([]);
+
+      transport.stop();
+    });
+
+    it("should reject a request when the server replies with an error", async function () {
+      const transport = new WebsocketTransport("ws://localhost/socket", "get_message", "patch_message");
+      transport.config({ WebSocket: TestSocket });
+
+      const patch = transport.patch([]);
+      await wait(5);
+      const socket = TestSocket.instances[0];
+      socket.serverSend({ message: "patch_message", id: socket.sent[0].id, error: { message: "nope" } });
+
+      let error;
+      try {
+        await patch;
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.equal("nope");
+      transport.stop();
+    });
+
+    it("should send the headers interceptors set in the envelope", async function () {
+      const transport = new WebsocketTransport("ws://localhost/socket", "get_message", "patch_message");
+      transport.config({ WebSocket: TestSocket });
+      transport.use((request, next) => {
+        request.headers.Authorization = "Bearer token";
+        return next(request);
+      });
+
+      const get = transport.get();
+      await wait(5);
+      const socket = TestSocket.instances[0];
+      expect(socket.sent[0].headers).to.deep.equal({ Authorization: "Bearer token" });
+
+      socket.serverSend({ message: "get_message", id: socket.sent[0].id, data: { a: "a" } });
+      expect(await get).to.deep.equal({ a: "a" });
+      transport.stop();
+    });
+  });
+
+  describe("server pushed patches", function () {
+    it("should apply patches pushed by the server to PatchedSync", async function () {
+      const patched_sync = new PatchedSync(
+        {
+          transport: "websocket",
+          socket_url: "ws://localhost/socket",
+          get_message: "get_message",
+          patch_message: "patch_message",
+        },
+        { a: "a" }
+      );
+      patched_sync.transport.config({ WebSocket: TestSocket });
+
+      let notified = false;
+      patched_sync.on("remote:change", () => (notified = true));
+      patched_sync.start();
+      await wait(5);
+
+      TestSocket.instances[0].serverSend({
+        message: "patch_message",
+        data: [{ op: "replace", path: "/a", value: "from the server" }],
+      });
+
+      expect(patched_sync.get().a).to.equal("from the server");
+      expect(notified).to.be.true;
+
+      patched_sync.stop();
+    });
+
+    it("should reconnect with backoff and resync the object", async function () {
+      const transport = new WebsocketTransport("ws://localhost/socket", "get_message", "patch_message");
+      transport.config({ WebSocket: TestSocket, reconnect_delay: 10 });
+
+      let resynced = null;
+      transport.start(obj => (resynced = obj), () => {});
+      await wait(5);
+
+      TestSocket.instances[0].close();
+      expect(transport._attempts).to.equal(1);
+      await wait(30);
+
+      expect(TestSocket.instances.length).to.equal(2);
+      const socket = TestSocket.instances[1];
+      await wait(0);
+      const request = socket.sent[0];
+      expect(request.message).to.equal("get_message");
+      socket.serverSend({ message: "get_message", id: request.id, data: { a: "resynced" } });
+      await wait(0);
+
+      expect(resynced).to.deep.equal({ a: "resynced" });
+      transport.stop();
+    });
+  });
+});
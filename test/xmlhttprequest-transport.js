@@ -1,7 +1,10 @@
 import { expect } from "chai";
 import Transport from "../src/transports/xmlhttprequest";
+import TestXMLHttpRequest from "./mocks/test-xhr";
+import { AbortError, ConflictError, HTTPError, NetworkError, TimeoutError } from "../src/errors";
+import { bearer } from "../src/transports/interceptors";
 
-describe("Fetch transport", function () {
+describe("XMLHttpRequest transport", function () {
   describe("construction", function () {
     it("should properly construct a xmlhttprequest transport", function () {
       const transport = new Transport(
@@ -13,6 +16,8 @@ describe("Fetch transport", function () {
       expect(typeof transport.config).to.equal('function');
       expect(typeof transport.get).to.equal('function');
       expect(typeof transport.patch).to.equal('function');
+      expect(typeof transport.start).to.equal('function');
+      expect(typeof transport.stop).to.equal('function');
       expect(transport.get_url).to.equal("/fetch/test/1");
       expect(transport.patch_url).to.equal("/fetch/test/1");
       expect(transport.interval).to.equal(10);
@@ -20,5 +25,187 @@ describe("Fetch transport", function () {
       const config = transport._config;
       expect(config.withCredentials).to.equal(true);
     });
+
+    it("should configure withCredentials", function () {
+      const transport = new Transport("/fetch/test/1", "/fetch/test/1");
+
+      transport.config({ withCredentials: false });
+      expect(transport._config.withCredentials).to.equal(false);
+    });
+  });
+
+  describe("requests", function () {
+    let original;
+    let requests;
+
+    // answer the requests in order, the last response answers every request after it
+    const serve = (...responses) => {
+      TestXMLHttpRequest.server = xhr => {
+        const response = responses.length > 1 ? responses.shift() : responses[0];
+        if (typeof response === "function") return response(xhr);
+        if (response) xhr.respond(response.status, response.body, response.headers);
+      };
+    };
+
+    beforeEach(function () {
+      original = global.XMLHttpRequest;
+      global.XMLHttpRequest = TestXMLHttpRequest;
+      TestXMLHttpRequest.instances = [];
+      requests = TestXMLHttpRequest.instances;
+    });
+
+    afterEach(function () {
+      global.XMLHttpRequest = original;
+      TestXMLHttpRequest.server = () => {};
+    });
+
+    const failure = async promise => {
+      try {
+        await promise;
+      } catch (error) {
+        return error;
+      }
+      throw new Error("Expected the request to fail.");
+    };
+
+    it("should retry a GET on a server error, a PATCH only on a network failure", async function () {
+      serve(xhr => xhr.fail(), { status: 503, body: {} }, { status: 200, body: { a: "a" } });
+
+      const transport = new Transport("/get", "/patch");
+      transport.config({ delay: 1, retries: 2 });
+
+      expect(await transport.get()).to.deep.equal({ a: "a" });
+      expect(requests.length).to.equal(3);
+      expect(requests[0].withCredentials).to.be.true;
+
+      serve({ status: 503, body: { error: "down" } });
+      const error = await failure(transport.patch([{ op: "add", path: "/a", value: "a" }]));
+      expect(error).to.be.an.instanceof(HTTPError);
+      expect(error.status).to.equal(503);
+      expect(error.body).to.deep.equal({ error: "down" });
+      expect(requests.length).to.equal(4);
+
+      serve(xhr => xhr.fail());
+      expect(await failure(transport.patch([]))).to.be.an.instanceof(NetworkError);
+      expect(requests.length).to.equal(7);
+    });
+
+    it("should time out a request that never returns", async function () {
+      serve(null);
+
+      const transport = new Transport("/get", "/patch");
+      transport.config({ timeout: 10, retries: 0 });
+
+      const error = await failure(transport.get());
+      expect(error).to.be.an.instanceof(TimeoutError);
+      expect(requests[0].timeout).to.equal(10);
+    });
+
+    it("should cancel a request when its signal is aborted", async function () {
+      serve(null);
+
+      const transport = new Transport("/get", "/patch");
+      const controller = new AbortController();
+      const request = transport.patch([], { signal: controller.signal });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      controller.abort();
+
+      expect(await failure(request)).to.be.an.instanceof(AbortError);
+      expect(requests.length).to.equal(1);
+    });
+
+    it("should revalidate with If-None-Match, send If-Match and turn a 412 into a ConflictError", async function () {
+      serve(
+        { status: 200, body: { a: "a" }, headers: { ETag: '"1"' } },
+        { status: 304, headers: { ETag: '"1"' } },
+        { status: 200, body: [], headers: { ETag: '"2"' } },
+        { status: 412, body: { revision: 3 } }
+      );
+
+      const transport = new Transport("/get", "/patch");
+      expect(await transport.get()).to.deep.equal({ a: "a" });
+      expect(requests[0].request_headers["If-None-Match"]).to.be.undefined;
+
+      expect(await transport.get()).to.deep.equal({ a: "a" });
+      expect(requests[1].request_headers["If-None-Match"]).to.equal('"1"');
+
+      await transport.patch([{ op: "replace", path: "/a", value: "b" }]);
+      expect(requests[2].request_headers["If-Match"]).to.equal('"1"');
+
+      const error = await failure(transport.patch([{ op: "replace", path: "/a", value: "c" }]));
+      expect(requests[3].request_headers["If-Match"]).to.equal('"2"');
+      expect(error).to.be.an.instanceof(ConflictError);
+      expect(error.etag).to.equal('"2"');
+      expect(error.body).to.deep.equal({ revision: 3 });
+    });
+
+    it("should send merge patches with their content type and accept an empty response", async function () {
+      serve({ status: 204 }, { status: 200, body: {} });
+
+      const transport = new Transport("/get", "/patch");
+      transport.config({ format: "merge-patch" });
+
+      expect(await transport.patch({ a: "b", c: null })).to.be.undefined;
+      expect(requests[0].request_headers["Content-Type"]).to.equal("application/merge-patch+json");
+      expect(requests[0].body).to.equal('{"a":"b","c":null}');
+
+      await transport.get();
+      expect(requests[1].request_headers["Content-Type"]).to.equal("application/json");
+    });
+
+    it("should only ask for the changes since the last revision and give up on a 410", async function () {
+      const changed = [{ op: "replace", path: "/a", value: "b" }];
+      serve(
+        { status: 200, body: { a: "a" }, headers: { "X-Revision": "5" } },
+        { status: 200, body: [{ revision: 6, patch: changed }], headers: { "X-Revision": "6" } },
+        { status: 410, body: {} }
+      );
+
+      const transport = new Transport("/get?x=y", "/patch");
+      expect(await transport.delta()).to.be.null;
+      expect(requests.length).to.equal(0);
+
+      await transport.get();
+      expect(transport.revision).to.equal(5);
+
+      expect(await transport.delta()).to.deep.equal(changed);
+      expect(requests[1].url).to.equal("/get?x=y&since=5");
+      expect(transport.revision).to.equal(6);
+
+      expect(await transport.delta()).to.be.null;
+      expect(transport.revision).to.be.null;
+    });
+
+    it("should let interceptors change requests and refresh the token once after a 401", async function () {
+      serve(xhr => {
+        if (xhr.request_headers.Authorization === "Bearer new") return xhr.respond(200, []);
+        xhr.respond(401, {});
+      });
+
+      let token = "old";
+      let refreshes = 0;
+      const transport = new Transport("/get", "/patch");
+      transport
+        .use((request, next) => next(Object.assign({}, request, { url: request.url + "?signed=yes" })))
+        .use(
+          bearer({
+            token: () => token,
+            refresh: async () => {
+              refreshes++;
+              await new Promise(resolve => setTimeout(resolve, 5));
+              token = "new";
+            },
+          })
+        );
+
+      const patches = [
+        transport.patch([{ op: "add", path: "/a", value: "a" }]),
+        transport.patch([{ op: "add", path: "/b", value: "b" }]),
+      ];
+      expect(await Promise.all(patches)).to.deep.equal([[], []]);
+      expect(refreshes).to.equal(1);
+      expect(requests.length).to.equal(4);
+      expect(requests[3].url).to.equal("/patch?signed=yes");
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,3 @@
+import { usePatchedSync } from "./src/bindings/vue";
+
+export { usePatchedSync };
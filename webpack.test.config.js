@@ -1,7 +1,7 @@
 const webpack = require('webpack');
 const path = require('path');
 const bodyParser = require('body-parser');
-const jiff = require('jiff');
+const patchedSync = require('./server');
 
 const core_config = {
   mode: 'development',
@@ -21,18 +21,20 @@ const core_config = {
     before: (app, server) => {
       app.use(bodyParser.urlencoded({ extended: false }));
       app.use(bodyParser.json());
-      let test_1 = {
-        a: 'a',
-        b: 'b',
-        c: 'c',
-      };
-
-      app.patch('/fetch/test/1', (req, res) => {
-        const changed = jiff.patch(req.body || [], jiff.clone(test_1));
-        test_1.b = 'not b';
-        const diff = jiff.diff(changed, test_1);
-        res.json(diff);
-      });
+      app.use(
+        '/fetch/test',
+        patchedSync.handler({
+          store: new patchedSync.MemoryDocumentStore({
+            1: {
+              a: 'a',
+              b: 'b',
+              c: 'c',
+            },
+          }),
+          // a server side adjustment, so the response patch isn't always empty
+          adjust: document => Object.assign(document, { b: 'not b' }),
+        })
+      );
     }
   }
 }